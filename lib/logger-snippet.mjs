@@ -2,7 +2,26 @@
  * Debug Logger Snippets
  *
  * Copy-paste these snippets into files being instrumented.
- * Choose the appropriate variant based on your environment.
+ * Choose the appropriate variant based on your environment. To import a logger
+ * instead of pasting one, use the package in lib/logger.
+ *
+ * The collector only accepts entries carrying its token. Replace DEBUG_TOKEN in
+ * the URLs below with the contents of .debug/token (debug-mode.mjs start prints
+ * it); a new token is generated every time the collector starts. The
+ * file-based variants write to the log directly and don't need it.
+ *
+ * The collector listens on DEBUG_PORT (7777) unless that port is taken, in
+ * which case it picks a free one and records it in .debug/collector.json.
+ * Browser variants post to globalThis.__DEBUG_COLLECTOR_URL__ when the page
+ * sets it (from a <script> tag or a bundler define) and to
+ * http://127.0.0.1:7777 otherwise; under Node the hybrid variant reads the URL
+ * from that file.
+ *
+ * Every variant stamps `seq` (a per-process counter), `hrtime`
+ * (performance.now()) and a random `processId`, so the analyzer can order
+ * entries that share a millisecond or arrive out of order. `traceId` links
+ * browser and server entries for one user action (see VARIANT 8). The optional
+ * `fields` argument adds top-level fields to the entry (spans use it).
  */
 
 // =============================================================================
@@ -10,7 +29,7 @@
 // Use for: Next.js client components, React apps, browser code
 // =============================================================================
 
-const __debugLog_browser = (location, hypothesisId, message, data = null, level = 'info') => {
+const __debugLog_browser = (location, hypothesisId, message, data = null, level = 'info', fields = null) => {
   const entry = {
     location,
     hypothesisId,
@@ -19,9 +38,14 @@ const __debugLog_browser = (location, hypothesisId, message, data = null, level
     level,
     timestamp: Date.now(),
     sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
-    runId: globalThis.__DEBUG_RUN_ID__ || null
+    runId: globalThis.__DEBUG_RUN_ID__ || null,
+    seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+    hrtime: globalThis.performance?.now(),
+    processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+    ...fields
   };
-  fetch('http://127.0.0.1:7777/ingest', {
+  fetch(`${globalThis.__DEBUG_COLLECTOR_URL__ || 'http://127.0.0.1:7777'}/ingest?token=DEBUG_TOKEN`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(entry)
@@ -35,9 +59,9 @@ const __debugLog_browser = (location, hypothesisId, message, data = null, level
 // =============================================================================
 
 // Add this import at the top of your file:
-// import { appendFileSync, mkdirSync, existsSync } from 'node:fs';
+import { appendFileSync, mkdirSync, existsSync } from 'node:fs';
 
-const __debugLog_node = (location, hypothesisId, message, data = null, level = 'info') => {
+const __debugLog_node = (location, hypothesisId, message, data = null, level = 'info', fields = null) => {
   const entry = {
     location,
     hypothesisId,
@@ -46,43 +70,64 @@ const __debugLog_node = (location, hypothesisId, message, data = null, level = '
     level,
     timestamp: Date.now(),
     sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
-    runId: globalThis.__DEBUG_RUN_ID__ || null
+    runId: globalThis.__DEBUG_RUN_ID__ || null,
+    seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+    hrtime: globalThis.performance?.now(),
+    processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+    ...fields
   };
   try {
-    // Inline import for copy-paste convenience
-    const fs = await import('node:fs');
-    if (!fs.existsSync('.debug')) fs.mkdirSync('.debug', { recursive: true });
-    fs.appendFileSync('.debug/debug.log', JSON.stringify(entry) + '\n');
+    if (!existsSync('.debug')) mkdirSync('.debug', { recursive: true });
+    appendFileSync('.debug/debug.log', JSON.stringify(entry) + '\n');
   } catch {}
 };
 
-// Synchronous version (no async needed):
-const __debugLog_node_sync = (() => {
-  const fs = require('node:fs');
-  return (location, hypothesisId, message, data = null, level = 'info') => {
-    const entry = {
-      location,
-      hypothesisId,
-      message,
-      data,
-      level,
-      timestamp: Date.now(),
-      sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
-      runId: globalThis.__DEBUG_RUN_ID__ || null
-    };
-    try {
-      if (!fs.existsSync('.debug')) fs.mkdirSync('.debug', { recursive: true });
-      fs.appendFileSync('.debug/debug.log', JSON.stringify(entry) + '\n');
-    } catch {}
+// CommonJS version (.cjs files, or .js without "type": "module"); needs no
+// import. Only call it from CommonJS: `require` doesn't exist in ES modules.
+const __debugLog_node_cjs = (location, hypothesisId, message, data = null, level = 'info', fields = null) => {
+  const entry = {
+    location,
+    hypothesisId,
+    message,
+    data,
+    level,
+    timestamp: Date.now(),
+    sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
+    runId: globalThis.__DEBUG_RUN_ID__ || null,
+    seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+    hrtime: globalThis.performance?.now(),
+    processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+    ...fields
   };
-})();
+  try {
+    const fs = require('node:fs');
+    if (!fs.existsSync('.debug')) fs.mkdirSync('.debug', { recursive: true });
+    fs.appendFileSync('.debug/debug.log', JSON.stringify(entry) + '\n');
+  } catch {}
+};
 
 // =============================================================================
 // VARIANT 3: Hybrid Logger (Auto-detects environment)
 // Use for: Universal code that runs in both browser and server
 // =============================================================================
 
-const __debugLog = (location, hypothesisId, message, data = null, level = 'info') => {
+// Where to post: the page's __DEBUG_COLLECTOR_URL__, else under Node the
+// address the collector recorded in .debug/collector.json (it may have fallen
+// back to another port), else the default.
+const __debugLog_collectorUrl = async () => {
+  if (globalThis.__DEBUG_COLLECTOR_URL__) return globalThis.__DEBUG_COLLECTOR_URL__;
+  if (typeof window === 'undefined' && globalThis.process?.versions?.node) {
+    try {
+      const { readFileSync } = await import('node:fs');
+      return JSON.parse(readFileSync('.debug/collector.json', 'utf8')).url;
+    } catch {}
+  }
+  return 'http://127.0.0.1:7777';
+};
+
+const __debugLog = (location, hypothesisId, message, data = null, level = 'info', fields = null) => {
   const entry = {
     location,
     hypothesisId,
@@ -91,16 +136,21 @@ const __debugLog = (location, hypothesisId, message, data = null, level = 'info'
     level,
     timestamp: Date.now(),
     sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
-    runId: globalThis.__DEBUG_RUN_ID__ || null
+    runId: globalThis.__DEBUG_RUN_ID__ || null,
+    seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+    hrtime: globalThis.performance?.now(),
+    processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+    ...fields
   };
 
   if (typeof window !== 'undefined' || typeof fetch === 'function') {
     // Browser or modern Node with fetch
-    fetch('http://127.0.0.1:7777/ingest', {
+    __debugLog_collectorUrl().then((url) => fetch(`${url}/ingest?token=DEBUG_TOKEN`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(entry)
-    }).catch(() => {});
+    })).catch(() => {});
   } else {
     // Node.js without fetch - use file
     import('node:fs').then(({ appendFileSync, mkdirSync, existsSync }) => {
@@ -119,7 +169,7 @@ const __debugLog = (location, hypothesisId, message, data = null, level = 'info'
 // =============================================================================
 
 // One-liner (paste at top of file, use inline):
-const __d=(h,m,d,l='info')=>fetch('http://127.0.0.1:7777/ingest',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:`${new Error().stack?.split('\\n')[2]?.trim()||'unknown'}`,hypothesisId:h,message:m,data:d,level:l,timestamp:Date.now()})}).catch(()=>{});
+const __d=(h,m,d,l='info')=>fetch(`${globalThis.__DEBUG_COLLECTOR_URL__||'http://127.0.0.1:7777'}/ingest?token=DEBUG_TOKEN`,{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:`${new Error().stack?.split('\\n')[2]?.trim()||'unknown'}`,hypothesisId:h,message:m,data:d,level:l,timestamp:Date.now(),seq:(globalThis.__DEBUG_SEQ__=(globalThis.__DEBUG_SEQ__||0)+1),hrtime:globalThis.performance?.now(),processId:(globalThis.__DEBUG_PROCESS_ID__||=Math.random().toString(36).slice(2,10)),traceId:globalThis.__DEBUG_TRACE_STORE__?.getStore()??globalThis.__DEBUG_TRACE_ID__})}).catch(()=>{});
 
 // Usage: __d('A', 'Function entry', { arg1, arg2 });
 // Usage: __d('B', 'Error caught', { error: e.message }, 'error');
@@ -139,6 +189,11 @@ interface DebugEntry {
   timestamp?: number;
   sessionId?: string;
   runId?: string;
+  seq?: number;
+  hrtime?: number;
+  processId?: string;
+  traceId?: string;
+  span?: { id: string; name: string; phase: 'start' | 'end'; durationMs?: number; outcome?: 'ok' | 'error' };
 }
 
 const __debugLog = (
@@ -146,7 +201,8 @@ const __debugLog = (
   hypothesisId: string,
   message: string,
   data: unknown = null,
-  level: DebugEntry['level'] = 'info'
+  level: DebugEntry['level'] = 'info',
+  fields: Partial<DebugEntry> | null = null
 ): void => {
   const entry: DebugEntry = {
     location,
@@ -156,9 +212,14 @@ const __debugLog = (
     level,
     timestamp: Date.now(),
     sessionId: (globalThis as any).__DEBUG_SESSION_ID__ || 'default',
-    runId: (globalThis as any).__DEBUG_RUN_ID__ || null
+    runId: (globalThis as any).__DEBUG_RUN_ID__ || null,
+    seq: ((globalThis as any).__DEBUG_SEQ__ = ((globalThis as any).__DEBUG_SEQ__ || 0) + 1),
+    hrtime: (globalThis as any).performance?.now(),
+    processId: ((globalThis as any).__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: (globalThis as any).__DEBUG_TRACE_STORE__?.getStore() ?? (globalThis as any).__DEBUG_TRACE_ID__,
+    ...fields
   };
-  fetch('http://127.0.0.1:7777/ingest', {
+  fetch(`${globalThis.__DEBUG_COLLECTOR_URL__ || 'http://127.0.0.1:7777'}/ingest?token=DEBUG_TOKEN`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(entry)
@@ -166,6 +227,251 @@ const __debugLog = (
 };
 */
 
+// =============================================================================
+// VARIANT 6: Buffered Browser Logger (Batch)
+// Use for: Hot paths - render loops, reducers, scroll/resize handlers
+// Queues entries and sends them to /ingest/batch as NDJSON. Flushes every
+// 250ms, when 50 entries are queued, and when the page is hidden or unloaded.
+// =============================================================================
+
+const __debugLog_buffered = (() => {
+  const endpoint = `${globalThis.__DEBUG_COLLECTOR_URL__ || 'http://127.0.0.1:7777'}/ingest/batch?token=DEBUG_TOKEN`;
+  const maxBatchSize = 50;
+  const flushIntervalMs = 250;
+  let queue = [];
+  let timer = null;
+
+  const flush = (unloading = false) => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (queue.length === 0) return;
+    const body = queue.map((entry) => JSON.stringify(entry)).join('\n');
+    queue = [];
+    // sendBeacon survives page unload; fetch keepalive is the fallback
+    if (unloading && typeof navigator !== 'undefined' && navigator.sendBeacon?.(endpoint, body)) {
+      return;
+    }
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body,
+      keepalive: unloading
+    }).catch(() => {});
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', () => flush(true));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush(true);
+    });
+  }
+
+  const log = (location, hypothesisId, message, data = null, level = 'info', fields = null) => {
+    queue.push({
+      location,
+      hypothesisId,
+      message,
+      data,
+      level,
+      timestamp: Date.now(),
+      sessionId: globalThis.__DEBUG_SESSION_ID__ || 'default',
+      runId: globalThis.__DEBUG_RUN_ID__ || null,
+      seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+      hrtime: globalThis.performance?.now(),
+      processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+      traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+      ...fields
+    });
+    if (queue.length >= maxBatchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+    }
+  };
+  log.flush = flush;
+  return log;
+})();
+
+// Usage: const __debugLog = __debugLog_buffered;
+// Call __debugLog.flush() to send queued entries immediately.
+
+// =============================================================================
+// VARIANT 7: Span Timing
+// Use for: Performance and timeout hypotheses
+// Adds span() and wrap() to any logger above. A span logs "<name> started"
+// and "<name> finished" entries carrying a `span` field with its duration and
+// outcome, which `debug-mode.mjs analyze` turns into latency statistics.
+// =============================================================================
+
+const __debugLog_spans = (log) => {
+  log.span = (location, hypothesisId, name, data = null) => {
+    const span = { id: Math.random().toString(36).slice(2, 10), name };
+    const start = performance.now();
+    let ended = false;
+    log(location, hypothesisId, `${name} started`, data, 'info', { span: { ...span, phase: 'start' } });
+    return {
+      end: (result = null, outcome = 'ok') => {
+        if (ended) return;
+        ended = true;
+        const durationMs = Math.round((performance.now() - start) * 100) / 100;
+        log(location, hypothesisId, `${name} finished`, result, outcome === 'error' ? 'error' : 'info', {
+          span: { ...span, phase: 'end', durationMs, outcome }
+        });
+      }
+    };
+  };
+  // Wraps a function so every call is a span; the result is always async.
+  log.wrap = (location, hypothesisId, name, fn) =>
+    async function (...args) {
+      const span = log.span(location, hypothesisId, name);
+      try {
+        const result = await fn.apply(this, args);
+        span.end();
+        return result;
+      } catch (error) {
+        span.end({ error: error?.message }, 'error');
+        throw error;
+      }
+    };
+  return log;
+};
+
+// Usage: __debugLog_spans(__debugLog);
+// const span = __debugLog.span('src/api.ts:loadUser', 'B', 'loadUser', { userId });
+// span.end({ rows: result.length });  // or span.end({ error: e.message }, 'error')
+// const loadUser = __debugLog.wrap('src/api.ts:loadUser', 'B', 'loadUser', async (id) => { ... });
+
+// =============================================================================
+// VARIANT 8: Cross-process Traces
+// Use for: Bugs that cross browser -> API route -> database
+// The browser helper starts a new trace on every click and submit, and sends
+// its ID to the app's own server in an X-Debug-Trace-Id header on fetch and
+// XMLHttpRequest calls (other origins are left alone, so no CORS preflight is
+// triggered). The server helper puts that ID on every entry logged while the
+// request is handled. The logger package exports the same two helpers as
+// startTrace and enterTrace.
+// =============================================================================
+
+const __debugLog_trace = (() => {
+  const startTrace = () => (globalThis.__DEBUG_TRACE_ID__ = Math.random().toString(36).slice(2, 14));
+  startTrace();
+  if (typeof window !== 'undefined' && !globalThis.__DEBUG_TRACE_INSTALLED__) {
+    globalThis.__DEBUG_TRACE_INSTALLED__ = true;
+    const header = 'X-Debug-Trace-Id';
+    const sameOrigin = (url) => new URL(url, location.href).origin === location.origin;
+    window.addEventListener('click', startTrace, true);
+    window.addEventListener('submit', startTrace, true);
+
+    const fetch = window.fetch;
+    window.fetch = (input, init = {}) => {
+      const request = input instanceof Request ? input : null;
+      if (!sameOrigin(request ? request.url : String(input))) return fetch(input, init);
+      const headers = new Headers(init.headers ?? request?.headers);
+      headers.set(header, globalThis.__DEBUG_TRACE_ID__);
+      return fetch(input, { ...init, headers });
+    };
+
+    const { open, send } = XMLHttpRequest.prototype;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      this.__debugTraced = sameOrigin(String(url));
+      return open.call(this, method, url, ...rest);
+    };
+    XMLHttpRequest.prototype.send = function (body) {
+      if (this.__debugTraced) this.setRequestHeader(header, globalThis.__DEBUG_TRACE_ID__);
+      return send.call(this, body);
+    };
+  }
+  return startTrace;
+})();
+
+// Usage: paste next to the logger in client code; call __debugLog_trace() to
+// start a new trace by hand (e.g. for actions not started by a click).
+
+// Add this import at the top of your server file:
+// import { AsyncLocalStorage } from 'node:async_hooks';
+
+const __debugLog_enterTrace = (request) => {
+  const store = (globalThis.__DEBUG_TRACE_STORE__ ??= new AsyncLocalStorage());
+  const headers = request?.headers;
+  const traceId =
+    (typeof headers?.get === 'function' ? headers.get('x-debug-trace-id') : headers?.['x-debug-trace-id']) ||
+    Math.random().toString(36).slice(2, 14);
+  store.enterWith(traceId);
+  return traceId;
+};
+
+// Usage: first statement of a route handler or middleware (Fetch Request,
+// Node IncomingMessage and Express req all work):
+// export async function POST(request) {
+//   __debugLog_enterTrace(request);
+//   ...
+// }
+
+// =============================================================================
+// VARIANT 9: Uncaught Error Capture
+// Use for: Errors thrown somewhere nobody instrumented
+// Reports uncaught errors and unhandled rejections through any logger above
+// under the reserved hypothesis ID UNCAUGHT, which the collector always
+// accepts and `debug-mode.mjs analyze` reports in its own section. It only
+// observes: pages and processes behave exactly as before. Under Node the
+// process exits right after, so pair it with the file-based __debugLog_node.
+// =============================================================================
+
+const __debugLog_captureErrors = (log) => {
+  const report = (kind, reason, location = null, context = {}) => {
+    const stack = reason instanceof Error ? reason.stack : null;
+    const frame = /(?:\(|@|at )((?:[a-z][\w+.-]*:\/\/|\/)[^\s()]*?):(\d+):\d+\)?$/m.exec(stack ?? '');
+    log(
+      location ?? (frame ? `${frame[1]}:${frame[2]}` : kind),
+      'UNCAUGHT',
+      reason instanceof Error ? `${reason.name}: ${reason.message}` : String(reason),
+      { kind, name: reason instanceof Error ? reason.name : null, stack, context },
+      'error'
+    );
+  };
+  if (typeof window !== 'undefined') {
+    const context = () => ({ url: location.href, userAgent: navigator.userAgent });
+    window.addEventListener('error', (event) =>
+      report('error', event.error ?? event.message, event.filename ? `${event.filename}:${event.lineno}` : null, context())
+    );
+    window.addEventListener('unhandledrejection', (event) => report('unhandledrejection', event.reason, null, context()));
+  } else if (globalThis.process?.on) {
+    // Fires for unhandled rejections too (origin 'unhandledRejection') when
+    // they crash the process, which is Node's default.
+    process.on('uncaughtExceptionMonitor', (error, origin) =>
+      report(origin, error, null, { pid: process.pid, cwd: process.cwd() })
+    );
+  }
+};
+
+// Usage: once, at startup (an app entry point or a root layout):
+// __debugLog_captureErrors(__debugLog);
+
+// =============================================================================
+// VARIANT 10: Assertions
+// Use for: Checking a stated expectation instead of eyeballing values
+// Logs whether `condition` held, with the expectation it checks, through the
+// __debugLog above. Write the condition as what correct code guarantees at
+// that point: `debug-mode.mjs analyze` counts a failed assertion as evidence
+// for its hypothesis and suggests CONFIRMED, REJECTED or INCONCLUSIVE from
+// the results.
+// =============================================================================
+
+const __debugAssert = (loc, hyp, condition, expectation, data = null) =>
+  __debugLog(
+    loc,
+    hyp,
+    `Assertion ${condition ? 'passed' : 'failed'}: ${expectation}`,
+    data,
+    condition ? 'info' : 'warn',
+    { assertion: { passed: Boolean(condition), expectation } }
+  );
+
+// Usage:
+// __debugAssert('src/api/orders.ts:processOrder', 'A', Array.isArray(order.items), 'order.items is an array', { items: order.items });
+
 // =============================================================================
 // USAGE EXAMPLES
 // =============================================================================
@@ -204,7 +510,13 @@ return result;
 export {
   __debugLog_browser,
   __debugLog_node,
-  __debugLog_node_sync,
+  __debugLog_node_cjs,
   __debugLog,
-  __d
+  __d,
+  __debugLog_buffered,
+  __debugLog_spans,
+  __debugLog_trace,
+  __debugLog_enterTrace,
+  __debugLog_captureErrors,
+  __debugAssert
 };
@@ -0,0 +1,58 @@
+/**
+ * Browser Entry
+ *
+ * Posts entries to the collector with fetch. The page can point every logger
+ * at the collector by setting `window.__DEBUG_COLLECTOR_URL__` and
+ * `window.__DEBUG_TOKEN__` before they log. With `batch: true`, queued
+ * entries are sent with navigator.sendBeacon when the page is hidden or
+ * unloaded, so the last ones before a navigation aren't lost.
+ *
+ * `startTrace()` links the entries of each click or submit to the server
+ * entries of the requests it makes (see `trace.mjs`).
+ */
+
+import {
+  DEFAULT_URL,
+  captureGlobalErrors,
+  configuredTarget,
+  createCoreLogger,
+  ingestRequest,
+  postEntries,
+} from "./core.mjs";
+import { captureConsole } from "./console-bridge.mjs";
+import { captureFetch, captureXhr } from "./network.mjs";
+
+export { DEFAULT_URL };
+export { startTrace } from "./trace.mjs";
+
+export function createLogger(options = {}) {
+  const log = createCoreLogger((entries, { unloading }) => {
+    const { url, token } = configuredTarget(options);
+    if (unloading && typeof navigator !== "undefined" && navigator.sendBeacon) {
+      const { endpoint, body } = ingestRequest(url ?? DEFAULT_URL, token, entries);
+      if (navigator.sendBeacon(endpoint, body)) return;
+    }
+    return postEntries(url ?? DEFAULT_URL, token, entries, { keepalive: unloading });
+  }, options);
+
+  log.captureErrors = (captureOptions) => captureGlobalErrors(log, captureOptions);
+  log.captureConsole = (captureOptions) => captureConsole(log, captureOptions);
+  log.captureNetwork = (captureOptions) => {
+    const restoreFetch = captureFetch(log, { ...options, ...captureOptions });
+    const restoreXhr = captureXhr(log, { ...options, ...captureOptions });
+    return () => {
+      restoreFetch();
+      restoreXhr();
+    };
+  };
+
+  if (options.batch && typeof window !== "undefined") {
+    window.addEventListener("pagehide", () => log.flush(true));
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") log.flush(true);
+    });
+  }
+  return log;
+}
+
+export const debugLog = createLogger();
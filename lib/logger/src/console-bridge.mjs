@@ -0,0 +1,155 @@
+/**
+ * Console Bridge
+ *
+ * Wraps console methods so whatever the app prints is also sent to the
+ * collector, under the reserved CONSOLE hypothesis, next to the instrumented
+ * entries. Each entry's location is the line that called console, its level
+ * follows the method, and `data` holds the arguments serialized without
+ * throwing (cycles, errors, DOM nodes, getters that throw).
+ *
+ * Console calls made while the bridge is forwarding, or while a transport is
+ * running, go only to the real console, so a logger that fails and reports
+ * the failure through console can't feed itself. In Node (and runtimes with a
+ * global AsyncLocalStorage) that includes calls made after an `await` inside
+ * the delivery. Browsers have no way to follow a delivery across `await`, so
+ * there only its synchronous part is covered: console calls that a fetch
+ * interceptor makes after an `await` are forwarded, and each one sets off
+ * another delivery. Keep such interceptors quiet for the collector URL, or
+ * leave the bridge off.
+ */
+
+import { CONSOLE_HYPOTHESIS, isDelivering, stackLocation } from "./core.mjs";
+
+export const CONSOLE_LEVELS = {
+  debug: "debug",
+  error: "error",
+  info: "info",
+  log: "info",
+  trace: "trace",
+  warn: "warn",
+};
+
+const MAX_DEPTH = 4;
+const MAX_KEYS = 50;
+const MAX_STRING_LENGTH = 2000;
+const MAX_MESSAGE_LENGTH = 500;
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit)}... [${text.length - limit} more]` : text;
+}
+
+/** A JSON-safe copy of any value; never throws. */
+export function serializeValue(value, depth = 0, seen = new WeakSet()) {
+  try {
+    switch (typeof value) {
+      case "string":
+        return truncate(value, MAX_STRING_LENGTH);
+      case "number":
+        return Number.isFinite(value) ? value : String(value);
+      case "boolean":
+        return value;
+      case "undefined":
+        return "[undefined]";
+      case "bigint":
+        return `${value}n`;
+      case "symbol":
+        return value.toString();
+      case "function":
+        return `[Function ${value.name || "anonymous"}]`;
+    }
+    if (value === null) return null;
+    if (seen.has(value)) return "[Circular]";
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack ?? null };
+    }
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? "[Invalid Date]" : value.toISOString();
+    }
+    if (typeof value.nodeType === "number" && typeof value.nodeName === "string") {
+      return `[${value.nodeName.toLowerCase()}]`;
+    }
+    if (depth >= MAX_DEPTH) {
+      return Array.isArray(value) ? "[Array]" : "[Object]";
+    }
+
+    seen.add(value);
+    const next = (item) => serializeValue(item, depth + 1, seen);
+    let result;
+    if (Array.isArray(value) || value instanceof Set) {
+      const items = [...value];
+      result = items.slice(0, MAX_KEYS).map(next);
+      if (items.length > MAX_KEYS) result.push(`[${items.length - MAX_KEYS} more]`);
+    } else {
+      const pairs = value instanceof Map ? [...value] : Object.keys(value).map((key) => [key]);
+      result = {};
+      for (const [key, item] of pairs.slice(0, MAX_KEYS)) {
+        try {
+          result[String(key)] = next(value instanceof Map ? item : value[key]);
+        } catch {
+          result[String(key)] = "[Unreadable]";
+        }
+      }
+      if (pairs.length > MAX_KEYS) result["..."] = `[${pairs.length - MAX_KEYS} more]`;
+    }
+    seen.delete(value);
+    return result;
+  } catch {
+    return "[Unserializable]";
+  }
+}
+
+function formatMessage(args) {
+  const text = args
+    .map((arg) => {
+      if (typeof arg === "string") return arg;
+      const value = serializeValue(arg);
+      return typeof value === "string" ? value : JSON.stringify(value);
+    })
+    .join(" ");
+  return truncate(text, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Forward `console[method]` calls to `log` as well as to the console.
+ * Options: `methods` (default: every key of CONSOLE_LEVELS) and
+ * `hypothesisId` (default CONSOLE). Returns a function that restores the
+ * original methods.
+ */
+export function captureConsole(log, options = {}) {
+  const target = globalThis.console;
+  const methods = options.methods ?? Object.keys(CONSOLE_LEVELS);
+  const hypothesisId = options.hypothesisId ?? CONSOLE_HYPOTHESIS;
+  const originals = new Map();
+  let forwarding = false;
+
+  for (const method of methods) {
+    const original = target?.[method];
+    if (typeof original !== "function") continue;
+
+    const wrapper = function (...args) {
+      if (!forwarding && !isDelivering()) {
+        forwarding = true;
+        try {
+          // Frame 0 is this wrapper; frame 1 is the caller.
+          const location = stackLocation(new Error().stack, 1) ?? `console.${method}`;
+          const data = { method, args: args.map((arg) => serializeValue(arg)) };
+          log(location, hypothesisId, formatMessage(args), data, CONSOLE_LEVELS[method] ?? "info");
+        } catch {
+          // The console call itself must still happen.
+        } finally {
+          forwarding = false;
+        }
+      }
+      return original.apply(this, args);
+    };
+    originals.set(method, { original, wrapper });
+    target[method] = wrapper;
+  }
+
+  return () => {
+    for (const [method, { original, wrapper }] of originals) {
+      if (target[method] === wrapper) target[method] = original;
+    }
+    originals.clear();
+  };
+}
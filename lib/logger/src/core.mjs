@@ -0,0 +1,272 @@
+/**
+ * Logger Core
+ *
+ * Builds entries and handles batching, spans and flushing for every entry
+ * point; each entry point only supplies a transport that delivers a list of
+ * entries. Entries carry the same fields as the copy-paste snippets, and the
+ * sequence counter and process ID live on globalThis so snippet loggers and
+ * this module can be mixed in one process.
+ */
+
+export const DEFAULT_URL = "http://127.0.0.1:7777";
+export const MAX_BATCH_SIZE = 50;
+export const FLUSH_INTERVAL_MS = 250;
+// Hypothesis IDs the collector and analyzer reserve for captured errors and
+// console output.
+export const UNCAUGHT_HYPOTHESIS = "UNCAUGHT";
+export const CONSOLE_HYPOTHESIS = "CONSOLE";
+
+// Non-zero while a transport is being called, so code it calls into (a
+// patched fetch, a console bridge) can tell it is running on the logger's
+// behalf. The counter only covers the synchronous part of a delivery; where
+// the runtime has AsyncLocalStorage, `deliveryScope` also marks everything
+// the transport awaits (a fetch interceptor, warnings from the HTTP client).
+let delivering = 0;
+let deliveryScope =
+  typeof globalThis.AsyncLocalStorage === "function" ? new globalThis.AsyncLocalStorage() : null;
+
+export function isDelivering() {
+  return delivering > 0 || deliveryScope?.getStore() === true;
+}
+
+/** Track deliveries across `await`s with this AsyncLocalStorage instance. */
+export function trackDeliveriesWith(storage) {
+  deliveryScope = storage;
+}
+
+/** Collector URL and token from options, then from globals a page can set. */
+export function configuredTarget(options) {
+  return {
+    url: options.url ?? globalThis.__DEBUG_COLLECTOR_URL__ ?? null,
+    token: options.token ?? globalThis.__DEBUG_TOKEN__ ?? null,
+  };
+}
+
+export function ingestRequest(url, token, entries) {
+  const single = entries.length === 1;
+  const query = token ? `?token=${encodeURIComponent(token)}` : "";
+  return {
+    endpoint: `${url.replace(/\/$/, "")}/ingest${single ? "" : "/batch"}${query}`,
+    contentType: single ? "application/json" : "application/x-ndjson",
+    body: single
+      ? JSON.stringify(entries[0])
+      : entries.map((entry) => JSON.stringify(entry)).join("\n"),
+  };
+}
+
+/**
+ * POST entries to the collector. Rejects with the network error if it can't be
+ * reached, or with an error carrying `status` if it refuses the entries.
+ */
+export async function postEntries(url, token, entries, { keepalive = false } = {}) {
+  const { endpoint, contentType, body } = ingestRequest(url, token, entries);
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": contentType },
+    body,
+    keepalive,
+  });
+  if (!response.ok) {
+    const error = new Error(`Collector rejected entries: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * "file:line" of the first stack frame with a URL or absolute path, after
+ * skipping `skip` such frames, in V8 ("at fn (file:///app/x.mjs:3:9)") and
+ * Firefox/Safari ("fn@http://.../x.js:3:9") formats.
+ */
+export function stackLocation(stack, skip = 0) {
+  const frames = (stack ?? "").matchAll(
+    /(?:\(|@|at )((?:[a-z][\w+.-]*:\/\/|\/)[^\s()]*?):(\d+):\d+\)?$/gm,
+  );
+  const frame = [...frames][skip];
+  return frame ? `${frame[1]}:${frame[2]}` : null;
+}
+
+/**
+ * Log a captured error under UNCAUGHT_HYPOTHESIS. `kind` is the event that
+ * caught it; `reason` may be any thrown or rejected value.
+ */
+export function reportError(log, kind, reason, { location = null, context = {} } = {}) {
+  const isError = reason instanceof Error;
+  const text = isError ? reason.message : String(reason);
+  const stack = isError ? (reason.stack ?? null) : null;
+  const name = isError ? reason.name : null;
+  log(
+    location ?? stackLocation(stack) ?? kind,
+    UNCAUGHT_HYPOTHESIS,
+    name ? `${name}: ${text}` : text,
+    { kind, name, stack, context },
+    "error",
+  );
+}
+
+/**
+ * Report `error` and `unhandledrejection` events on the global scope (a
+ * window or a worker) without changing how they are handled. Returns a
+ * function that removes the listeners.
+ */
+export function captureGlobalErrors(log, options = {}) {
+  const target = globalThis;
+  if (typeof target.addEventListener !== "function") {
+    return () => {};
+  }
+  const context = () => ({
+    url: globalThis.location?.href,
+    userAgent: globalThis.navigator?.userAgent,
+    ...options.context,
+  });
+  const onError = (event) => {
+    const location = event.filename ? `${event.filename}:${event.lineno}` : null;
+    reportError(log, "error", event.error ?? event.message, { location, context: context() });
+  };
+  const onRejection = (event) => {
+    reportError(log, "unhandledrejection", event.reason, { context: context() });
+  };
+  target.addEventListener("error", onError);
+  target.addEventListener("unhandledrejection", onRejection);
+  return () => {
+    target.removeEventListener("error", onError);
+    target.removeEventListener("unhandledrejection", onRejection);
+  };
+}
+
+/** An entry as `log(...)` would send it, for transports that can't wait. */
+export function buildEntry(options, location, hypothesisId, message, data, level, fields) {
+  return {
+    location,
+    hypothesisId,
+    message,
+    data,
+    level,
+    timestamp: Date.now(),
+    sessionId: options.sessionId ?? globalThis.__DEBUG_SESSION_ID__ ?? "default",
+    runId: options.runId ?? globalThis.__DEBUG_RUN_ID__ ?? null,
+    seq: (globalThis.__DEBUG_SEQ__ = (globalThis.__DEBUG_SEQ__ || 0) + 1),
+    hrtime: globalThis.performance?.now(),
+    processId: (globalThis.__DEBUG_PROCESS_ID__ ||= Math.random().toString(36).slice(2, 10)),
+    traceId: globalThis.__DEBUG_TRACE_STORE__?.getStore() ?? globalThis.__DEBUG_TRACE_ID__,
+    ...fields,
+  };
+}
+
+/**
+ * Create a logger: `log(location, hypothesisId, message, data, level, fields)`.
+ *
+ * `transport(entries, { unloading })` delivers entries and returns a promise.
+ * Options shared by all entry points: `url`, `token`, `sessionId`, `runId`,
+ * `enabled` (default true) and `batch` (queue entries and send up to 50 at a
+ * time, at most 250ms late). Delivery failures never throw into the app;
+ * `log.flush()` resolves once everything logged so far has been handled.
+ */
+export function createCoreLogger(transport, options = {}) {
+  const pending = new Set();
+  let queue = [];
+  let timer = null;
+
+  const deliver = (entries, unloading = false) => {
+    const delivery = Promise.resolve()
+      .then(() => {
+        delivering += 1;
+        try {
+          return deliveryScope
+            ? deliveryScope.run(true, () => transport(entries, { unloading }))
+            : transport(entries, { unloading });
+        } finally {
+          delivering -= 1;
+        }
+      })
+      .catch(() => {});
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+  };
+
+  const flush = (unloading = false) => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (queue.length > 0) {
+      deliver(queue, unloading);
+      queue = [];
+    }
+    return Promise.all(pending).then(() => {});
+  };
+
+  const log = (location, hypothesisId, message, data = null, level = "info", fields = null) => {
+    if (options.enabled === false) return;
+    const entry = buildEntry(options, location, hypothesisId, message, data, level, fields);
+    if (!options.batch) {
+      deliver([entry]);
+      return;
+    }
+    queue.push(entry);
+    if (queue.length >= MAX_BATCH_SIZE) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }
+  };
+
+  log.flush = flush;
+
+  // Logs whether `condition` held, like the `__debugAssert` snippet; the
+  // analyzer suggests verdicts from these.
+  log.assert = (location, hypothesisId, condition, expectation, data = null) => {
+    const passed = Boolean(condition);
+    log(
+      location,
+      hypothesisId,
+      `Assertion ${passed ? "passed" : "failed"}: ${expectation}`,
+      data,
+      passed ? "info" : "warn",
+      { assertion: { passed, expectation } },
+    );
+  };
+
+  // A span logs "<name> started" and "<name> finished" with a `span` field
+  // carrying its duration and outcome.
+  log.span = (location, hypothesisId, name, data = null) => {
+    const span = { id: Math.random().toString(36).slice(2, 10), name };
+    const start = globalThis.performance?.now() ?? Date.now();
+    let ended = false;
+    log(location, hypothesisId, `${name} started`, data, "info", {
+      span: { ...span, phase: "start" },
+    });
+    return {
+      end: (result = null, outcome = "ok") => {
+        if (ended) return;
+        ended = true;
+        const elapsed = (globalThis.performance?.now() ?? Date.now()) - start;
+        const durationMs = Math.round(elapsed * 100) / 100;
+        log(
+          location,
+          hypothesisId,
+          `${name} finished`,
+          result,
+          outcome === "error" ? "error" : "info",
+          { span: { ...span, phase: "end", durationMs, outcome } },
+        );
+      },
+    };
+  };
+
+  // Wraps a function so every call is a span; the result is always async.
+  log.wrap = (location, hypothesisId, name, fn) =>
+    async function (...args) {
+      const span = log.span(location, hypothesisId, name);
+      try {
+        const result = await fn.apply(this, args);
+        span.end();
+        return result;
+      } catch (error) {
+        span.end({ error: error?.message }, "error");
+        throw error;
+      }
+    };
+
+  return log;
+}
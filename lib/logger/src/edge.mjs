@@ -0,0 +1,32 @@
+/**
+ * Edge / Worker Entry
+ *
+ * For runtimes with fetch but no file system (Cloudflare Workers, Vercel Edge,
+ * Deno Deploy, service workers). Entries are posted to the collector; keep the
+ * worker alive until they are sent with `ctx.waitUntil(debugLog.flush())`.
+ */
+
+import {
+  DEFAULT_URL,
+  captureGlobalErrors,
+  configuredTarget,
+  createCoreLogger,
+  postEntries,
+} from "./core.mjs";
+import { captureConsole } from "./console-bridge.mjs";
+import { captureFetch } from "./network.mjs";
+
+export { DEFAULT_URL };
+
+export function createLogger(options = {}) {
+  const log = createCoreLogger((entries) => {
+    const { url, token } = configuredTarget(options);
+    return postEntries(url ?? DEFAULT_URL, token, entries);
+  }, options);
+  log.captureErrors = (captureOptions) => captureGlobalErrors(log, captureOptions);
+  log.captureConsole = (captureOptions) => captureConsole(log, captureOptions);
+  log.captureNetwork = (captureOptions) => captureFetch(log, { ...options, ...captureOptions });
+  return log;
+}
+
+export const debugLog = createLogger();
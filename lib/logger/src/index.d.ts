@@ -0,0 +1,136 @@
+export type DebugLevel = "trace" | "debug" | "info" | "warn" | "error";
+
+export interface DebugSpanField {
+  id: string;
+  name: string;
+  phase: "start" | "end";
+  durationMs?: number;
+  outcome?: "ok" | "error";
+}
+
+export interface DebugEntry {
+  location: string;
+  hypothesisId: string;
+  message: string;
+  data: unknown;
+  level: DebugLevel;
+  timestamp: number;
+  sessionId: string;
+  runId: string | null;
+  seq: number;
+  hrtime?: number;
+  processId: string;
+  traceId?: string;
+  span?: DebugSpanField;
+  assertion?: { passed: boolean; expectation: string };
+  [field: string]: unknown;
+}
+
+export interface LoggerOptions {
+  /** Collector base URL, e.g. `http://127.0.0.1:7777`. */
+  url?: string;
+  /** Ingest token from `.debug/token`. */
+  token?: string;
+  sessionId?: string;
+  runId?: string;
+  /** Set to false to turn every call into a no-op. */
+  enabled?: boolean;
+  /** Queue entries and send them in batches to `/ingest/batch`. */
+  batch?: boolean;
+  /** Node only: where `collector.json`, `token` and `debug.log` live. */
+  debugDir?: string;
+}
+
+export interface DebugSpan {
+  end(result?: unknown, outcome?: "ok" | "error"): void;
+}
+
+export interface CaptureErrorsOptions {
+  /** Extra fields added to each captured error's `data.context`. */
+  context?: Record<string, unknown>;
+}
+
+export interface CaptureConsoleOptions {
+  /** Console methods to forward. Default: log, info, warn, error, debug, trace. */
+  methods?: Array<"log" | "info" | "warn" | "error" | "debug" | "trace">;
+  /** Hypothesis ID for console entries. Default: `CONSOLE`. */
+  hypothesisId?: string;
+}
+
+export interface CaptureNetworkOptions {
+  /** Hypothesis ID for request entries. Default: `NETWORK`. */
+  hypothesisId?: string;
+  /** Only capture URLs matching one of these (substring, `*` glob or RegExp). */
+  include?: Array<string | RegExp>;
+  /** Never capture URLs matching one of these. */
+  exclude?: Array<string | RegExp>;
+  /** Request and response headers to record. Default: content-type, content-length, cache-control, x-request-id. */
+  headers?: string[];
+  /** Characters of each body to keep; 0 records none. Default: 500. */
+  bodyPreview?: number;
+}
+
+export interface DebugLogger {
+  (
+    location: string,
+    hypothesisId: string,
+    message: string,
+    data?: unknown,
+    level?: DebugLevel,
+    fields?: Partial<DebugEntry> | null,
+  ): void;
+  /** Send queued entries; resolves once everything logged so far is handled. */
+  flush(): Promise<void>;
+  /**
+   * Log whether `condition` held. Write it as what correct code guarantees:
+   * the analyzer counts failures as evidence for the hypothesis.
+   */
+  assert(
+    location: string,
+    hypothesisId: string,
+    condition: unknown,
+    expectation: string,
+    data?: unknown,
+  ): void;
+  span(location: string, hypothesisId: string, name: string, data?: unknown): DebugSpan;
+  wrap<Args extends unknown[], Result>(
+    location: string,
+    hypothesisId: string,
+    name: string,
+    fn: (...args: Args) => Result | Promise<Result>,
+  ): (...args: Args) => Promise<Result>;
+  /**
+   * Report uncaught errors and unhandled rejections under the `UNCAUGHT`
+   * hypothesis. Returns a function that stops capturing.
+   */
+  captureErrors(options?: CaptureErrorsOptions): () => void;
+  /**
+   * Also send console output to the collector, with the calling line as
+   * location. Returns a function that restores the console.
+   */
+  captureConsole(options?: CaptureConsoleOptions): () => void;
+  /**
+   * Log every request made with fetch (plus XMLHttpRequest in browsers and
+   * `node:http`/`node:https` in Node). Returns a function that stops capturing.
+   */
+  captureNetwork(options?: CaptureNetworkOptions): () => void;
+}
+
+export const DEFAULT_URL: string;
+export function createLogger(options?: LoggerOptions): DebugLogger;
+export const debugLog: DebugLogger;
+
+/**
+ * Browser entry only. Start a new trace and return its ID. The first call
+ * also starts one on every click and submit, and sends the current ID in an
+ * `X-Debug-Trace-Id` header with same-origin fetch and XMLHttpRequest calls.
+ */
+export function startTrace(): string;
+/**
+ * Node entry only. Tag every entry logged from here on in this async context
+ * with the request's `X-Debug-Trace-Id`, or a new trace ID if it has none.
+ * Accepts a Fetch `Request`, a Node `IncomingMessage` or an Express `req`.
+ */
+export function enterTrace(request?: {
+  headers?: Headers | Record<string, string | string[] | undefined>;
+}): string;
@@ -0,0 +1,269 @@
+/**
+ * Network Capture
+ *
+ * Opt-in interceptors that log every HTTP request the app makes: one entry
+ * per request, when it completes or fails, with method, URL, status,
+ * duration, selected request and response headers and a truncated preview of
+ * both bodies. Entries go under `hypothesisId` (default NETWORK) with the
+ * line that made the request as location; failed requests are logged at
+ * `error`, 4xx/5xx responses at `warn`.
+ *
+ * Requests the logger makes to the collector are never captured, nor is
+ * `/ingest` traffic from snippet loggers on the same page.
+ */
+
+import { configuredTarget, isDelivering, stackLocation } from "./core.mjs";
+
+export const NETWORK_HYPOTHESIS = "NETWORK";
+export const DEFAULT_HEADERS = ["content-type", "content-length", "cache-control", "x-request-id"];
+export const BODY_PREVIEW_LENGTH = 500;
+
+const TEXT_CONTENT =
+  /^(?:text\/(?!event-stream)|application\/(?:[\w.+-]*\+)?(?:json|xml|x-www-form-urlencoded|javascript))/i;
+const LOOPBACK = /^(?:localhost|127\.\d+\.\d+\.\d+|\[::1\])$/;
+
+function matches(url, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(url);
+  if (!pattern.includes("*")) return url.includes(pattern);
+  const source = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(source).test(url);
+}
+
+function isCollectorUrl(url, options) {
+  let parsed;
+  try {
+    parsed = new URL(url, globalThis.location?.href);
+  } catch {
+    return false;
+  }
+  if (!/^\/ingest(?:\/batch)?\/?$/.test(parsed.pathname)) return false;
+  const collector = configuredTarget(options).url;
+  return LOOPBACK.test(parsed.hostname) || (collector && url.startsWith(collector));
+}
+
+/**
+ * Normalized capture options plus `shouldCapture(url)`, which applies the
+ * collector exclusion and the `include`/`exclude` patterns (substrings,
+ * `*` globs or RegExps matched against the full URL).
+ */
+export function networkOptions(options = {}) {
+  const include = options.include ?? [];
+  const exclude = options.exclude ?? [];
+  return {
+    hypothesisId: options.hypothesisId ?? NETWORK_HYPOTHESIS,
+    headers: (options.headers ?? DEFAULT_HEADERS).map((name) => name.toLowerCase()),
+    bodyPreview: options.bodyPreview ?? BODY_PREVIEW_LENGTH,
+    shouldCapture: (url) =>
+      !isDelivering() &&
+      !isCollectorUrl(url, options) &&
+      (include.length === 0 || include.some((pattern) => matches(url, pattern))) &&
+      !exclude.some((pattern) => matches(url, pattern)),
+  };
+}
+
+export function truncateBody(text, limit) {
+  if (text === null || text === undefined || limit <= 0) return null;
+  return text.length > limit ? `${text.slice(0, limit)}... [${text.length - limit} more]` : text;
+}
+
+/** A preview of a request body of any type fetch or XHR accept. */
+export function describeBody(body, limit) {
+  if (body === null || body === undefined) return null;
+  if (typeof body === "string") return truncateBody(body, limit);
+  if (body instanceof URLSearchParams) return truncateBody(body.toString(), limit);
+  if (typeof FormData !== "undefined" && body instanceof FormData) return "[FormData]";
+  if (typeof Blob !== "undefined" && body instanceof Blob) return `[Blob ${body.size} bytes]`;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return `[${body.byteLength} bytes]`;
+  }
+  return "[stream]";
+}
+
+/** Selected headers from anything with `get(name)`, e.g. a Headers object. */
+export function pickHeaders(names, get) {
+  const picked = {};
+  for (const name of names) {
+    const value = get(name);
+    if (value !== null && value !== undefined) picked[name] = String(value);
+  }
+  return picked;
+}
+
+/**
+ * Log one finished request. `request` holds method, url, location, startedAt,
+ * requestHeaders and requestBody; `outcome` holds either status, ok,
+ * responseHeaders and responseBody, or error.
+ */
+export function logRequest(log, settings, request, outcome) {
+  const durationMs = Math.round((performanceNow() - request.startedAt) * 100) / 100;
+  const { method, url } = request;
+  const failed = outcome.error !== undefined;
+  const message = failed
+    ? `${method} ${url} failed: ${outcome.error?.message ?? outcome.error}`
+    : `${method} ${url} -> ${outcome.status}`;
+  const data = {
+    method,
+    url,
+    status: failed ? null : outcome.status,
+    ok: failed ? false : outcome.ok,
+    durationMs,
+    requestHeaders: request.requestHeaders,
+    requestBody: request.requestBody,
+    ...(failed
+      ? { error: outcome.error?.message ?? String(outcome.error) }
+      : { responseHeaders: outcome.responseHeaders, responseBody: outcome.responseBody }),
+  };
+  const level = failed ? "error" : outcome.status >= 400 ? "warn" : "info";
+  log(request.location ?? `${method} ${url}`, settings.hypothesisId, message, data, level);
+}
+
+export function performanceNow() {
+  return globalThis.performance?.now() ?? Date.now();
+}
+
+// Read at most `limit` characters from a cloned body, then cancel the clone
+// so the app's copy streams as usual.
+async function readPreview(response, limit) {
+  if (limit <= 0 || !response.body) return null;
+  const type = response.headers.get("content-type") ?? "";
+  if (!TEXT_CONTENT.test(type)) return type ? `[${type}]` : null;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  try {
+    while (text.length <= limit) {
+      const { done, value } = await reader.read();
+      if (done) return truncateBody(text + decoder.decode(), limit);
+      text += decoder.decode(value, { stream: true });
+    }
+    await reader.cancel();
+  } catch {
+    // A body that fails to stream is the app's problem to report.
+  }
+  return truncateBody(text, limit);
+}
+
+/**
+ * Wrap `globalThis.fetch`. Returns a function that restores it (unless
+ * something else has replaced it since).
+ */
+export function captureFetch(log, options = {}) {
+  const original = globalThis.fetch;
+  if (typeof original !== "function") return () => {};
+  const settings = networkOptions(options);
+
+  const wrapper = function (input, init) {
+    const url = typeof input === "string" ? input : (input?.url ?? String(input));
+    if (!settings.shouldCapture(url)) return original.apply(this, arguments);
+
+    let headers;
+    try {
+      headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : {}));
+    } catch {
+      // fetch itself rejects invalid headers.
+      headers = new Headers();
+    }
+    const request = {
+      method: (init?.method ?? input?.method ?? "GET").toUpperCase(),
+      url,
+      // Frame 0 is this wrapper; frame 1 is the caller.
+      location: stackLocation(new Error().stack, 1),
+      startedAt: performanceNow(),
+      requestHeaders: pickHeaders(settings.headers, (name) => headers.get(name)),
+      requestBody: describeBody(init?.body, settings.bodyPreview),
+    };
+
+    return original.apply(this, arguments).then(
+      (response) => {
+        const preview = response.bodyUsed
+          ? null
+          : readPreview(response.clone(), settings.bodyPreview);
+        Promise.resolve(preview).then((responseBody) =>
+          logRequest(log, settings, request, {
+            status: response.status,
+            ok: response.ok,
+            responseHeaders: pickHeaders(settings.headers, (name) => response.headers.get(name)),
+            responseBody,
+          }),
+        );
+        return response;
+      },
+      (error) => {
+        logRequest(log, settings, request, { error });
+        throw error;
+      },
+    );
+  };
+  globalThis.fetch = wrapper;
+  return () => {
+    if (globalThis.fetch === wrapper) globalThis.fetch = original;
+  };
+}
+
+/**
+ * Patch `XMLHttpRequest` (browsers). Returns a function that undoes the
+ * patch.
+ */
+export function captureXhr(log, options = {}) {
+  const Xhr = globalThis.XMLHttpRequest;
+  if (typeof Xhr !== "function") return () => {};
+  const settings = networkOptions(options);
+  const { open, send, setRequestHeader } = Xhr.prototype;
+  const requests = new WeakMap();
+
+  Xhr.prototype.open = function (method, url) {
+    const resolved = String(url);
+    requests.set(
+      this,
+      settings.shouldCapture(resolved)
+        ? {
+            method: String(method).toUpperCase(),
+            url: resolved,
+            location: stackLocation(new Error().stack, 1),
+            headers: {},
+          }
+        : null,
+    );
+    return open.apply(this, arguments);
+  };
+
+  Xhr.prototype.setRequestHeader = function (name, value) {
+    const request = requests.get(this);
+    if (request && settings.headers.includes(String(name).toLowerCase())) {
+      request.headers[String(name).toLowerCase()] = String(value);
+    }
+    return setRequestHeader.apply(this, arguments);
+  };
+
+  Xhr.prototype.send = function (body) {
+    const request = requests.get(this);
+    if (request) {
+      request.startedAt = performanceNow();
+      request.requestHeaders = request.headers;
+      request.requestBody = describeBody(body, settings.bodyPreview);
+      this.addEventListener("loadend", () => {
+        if (this.status === 0) {
+          logRequest(log, settings, request, { error: new Error("Network error or aborted") });
+          return;
+        }
+        let responseBody = null;
+        if (this.responseType === "" || this.responseType === "text") {
+          responseBody = truncateBody(this.responseText, settings.bodyPreview);
+        } else if (this.responseType === "json") {
+          responseBody = truncateBody(JSON.stringify(this.response), settings.bodyPreview);
+        }
+        logRequest(log, settings, request, {
+          status: this.status,
+          ok: this.status >= 200 && this.status < 300,
+          responseHeaders: pickHeaders(settings.headers, (name) => this.getResponseHeader(name)),
+          responseBody,
+        });
+      });
+    }
+    return send.apply(this, arguments);
+  };
+
+  return () => {
+    Object.assign(Xhr.prototype, { open, send, setRequestHeader });
+  };
+}
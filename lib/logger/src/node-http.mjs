@@ -0,0 +1,122 @@
+/**
+ * Node HTTP Capture
+ *
+ * Patches `request` and `get` of `node:http` and `node:https` so requests made
+ * through them (directly or by libraries such as axios) are logged like
+ * captured fetch calls. The response body preview only sees chunks the app
+ * reads through `data` events; nothing is read on the app's behalf, so
+ * streams behave exactly as before.
+ */
+
+import http from "node:http";
+import https from "node:https";
+import { syncBuiltinESMExports } from "node:module";
+import { stackLocation } from "./core.mjs";
+import {
+  describeBody,
+  logRequest,
+  networkOptions,
+  performanceNow,
+  pickHeaders,
+  truncateBody,
+} from "./network.mjs";
+
+function requestUrl(request) {
+  const protocol = request.protocol ?? "http:";
+  const host = request.getHeader("host") ?? request.host ?? "localhost";
+  return `${protocol}//${host}${request.path}`;
+}
+
+function captureRequest(log, settings, request, location) {
+  const url = requestUrl(request);
+  if (!settings.shouldCapture(url)) return;
+
+  const entry = {
+    method: request.method,
+    url,
+    location,
+    startedAt: performanceNow(),
+    requestHeaders: pickHeaders(settings.headers, (name) => request.getHeader(name)),
+    requestBody: null,
+  };
+  const sent = [];
+  const collect = (chunks, chunk) => {
+    if (chunk !== undefined && chunk !== null && typeof chunk !== "function") {
+      chunks.push(typeof chunk === "string" ? chunk : Buffer.from(chunk).toString("utf8"));
+    }
+  };
+  const { write, end } = request;
+  request.write = function (chunk) {
+    collect(sent, chunk);
+    return write.apply(this, arguments);
+  };
+  request.end = function (chunk) {
+    collect(sent, chunk);
+    entry.requestBody = sent.length ? describeBody(sent.join(""), settings.bodyPreview) : null;
+    return end.apply(this, arguments);
+  };
+
+  let logged = false;
+  const finish = (outcome) => {
+    if (logged) return;
+    logged = true;
+    logRequest(log, settings, entry, outcome);
+  };
+
+  request.once("error", (error) => finish({ error }));
+  request.once("response", (response) => {
+    const received = [];
+    const emit = response.emit;
+    response.emit = function (event, chunk) {
+      if (event === "data" && received.join("").length <= settings.bodyPreview) {
+        collect(received, chunk);
+      }
+      return emit.apply(this, arguments);
+    };
+    const done = () =>
+      finish({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        responseHeaders: pickHeaders(settings.headers, (name) => response.headers[name]),
+        responseBody: truncateBody(received.join("") || null, settings.bodyPreview),
+      });
+    response.once("end", done);
+    response.once("close", done);
+  });
+}
+
+/**
+ * Patch `http` and `https`. Returns a function that restores the original
+ * functions.
+ */
+export function captureHttp(log, options = {}) {
+  const settings = networkOptions(options);
+  const patched = [];
+
+  for (const module of [http, https]) {
+    for (const name of ["request", "get"]) {
+      const original = module[name];
+      const wrapper = function () {
+        // Frame 0 is this wrapper; frame 1 is the caller.
+        const location = stackLocation(new Error().stack, 1);
+        const request = original.apply(this, arguments);
+        try {
+          captureRequest(log, settings, request, location);
+        } catch {
+          // Never break the request because it couldn't be logged.
+        }
+        return request;
+      };
+      module[name] = wrapper;
+      patched.push({ module, name, original, wrapper });
+    }
+  }
+  syncBuiltinESMExports();
+
+  return () => {
+    for (const { module, name, original, wrapper } of patched) {
+      if (module[name] === wrapper) module[name] = original;
+    }
+    syncBuiltinESMExports();
+  };
+}
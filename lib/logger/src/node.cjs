@@ -0,0 +1,8 @@
+/**
+ * Node CommonJS Entry
+ *
+ * Node 20.19+ and 22.12+ can require() ES modules without top-level await, so
+ * CommonJS callers get the same implementation as `import`.
+ */
+
+module.exports = require("./node.mjs");
@@ -0,0 +1,185 @@
+/**
+ * Node Entry
+ *
+ * Finds the collector through .debug/collector.json and reads the ingest token
+ * from .debug/token, so nothing has to be pasted in after a restart. When no
+ * collector is running (or it can't be reached) entries are appended to
+ * .debug/debug.log directly, like the file-based snippets; those skip the
+ * collector's redaction. Entries the collector refuses (bad token, rate
+ * limit) are dropped, not written around it.
+ *
+ * Extra options: `debugDir` (default `.debug` under the working directory).
+ * `DEBUG_COLLECTOR_URL` and `DEBUG_TOKEN` override discovery.
+ *
+ * `log.captureErrors()` reports uncaught exceptions and unhandled rejections
+ * without changing how the process handles them: it observes crashes through
+ * `uncaughtExceptionMonitor` and sends the entry synchronously before Node
+ * exits, and only listens for `unhandledRejection` when
+ * `--unhandled-rejections=warn` or `none` keeps rejections from crashing.
+ * `log.captureNetwork()` covers `node:http`/`node:https` as well as fetch.
+ * `enterTrace(request)` puts a request handler's entries in the browser
+ * action's trace (see `trace.mjs`).
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { execFileSync } from "node:child_process";
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+import {
+  DEFAULT_URL,
+  buildEntry,
+  configuredTarget,
+  createCoreLogger,
+  postEntries,
+  reportError,
+  trackDeliveriesWith,
+} from "./core.mjs";
+import { captureConsole } from "./console-bridge.mjs";
+import { captureFetch } from "./network.mjs";
+import { captureHttp } from "./node-http.mjs";
+import { newTraceId, requestTraceId } from "./trace.mjs";
+
+export { DEFAULT_URL };
+
+trackDeliveriesWith(new AsyncLocalStorage());
+
+// How long a crashing process waits for its error entry to be delivered.
+const EXIT_FLUSH_TIMEOUT_MS = 1000;
+// Posts the entries on stdin from a child process, so a crashing process can
+// wait for delivery synchronously. Exits with 2 if the collector refuses them.
+const POST_SCRIPT = `
+import { postEntries } from ${JSON.stringify(new URL("./core.mjs", import.meta.url).href)};
+let input = "";
+for await (const chunk of process.stdin) input += chunk;
+const { url, token, entries } = JSON.parse(input);
+await postEntries(url, token, entries).catch((error) => process.exit(error.status ? 2 : 1));
+`;
+
+function readOptional(file, parse) {
+  try {
+    return existsSync(file) ? parse(readFileSync(file, "utf8")) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Re-read on every delivery so a restarted collector (new port, new token)
+// is picked up without restarting the app.
+function discoverCollector(options, debugDir) {
+  const configured = configuredTarget(options);
+  const url =
+    configured.url ??
+    process.env.DEBUG_COLLECTOR_URL ??
+    readOptional(join(debugDir, "collector.json"), (text) => JSON.parse(text).url);
+  const token =
+    configured.token ??
+    process.env.DEBUG_TOKEN ??
+    readOptional(join(debugDir, "token"), (text) => text.trim());
+  return { url, token };
+}
+
+function appendEntries(debugDir, entries) {
+  mkdirSync(debugDir, { recursive: true });
+  appendFileSync(
+    join(debugDir, "debug.log"),
+    entries.map((entry) => JSON.stringify(entry) + "\n").join(""),
+  );
+}
+
+// The --unhandled-rejections mode from the command line or NODE_OPTIONS.
+function unhandledRejectionsMode() {
+  const args = [...process.execArgv, ...(process.env.NODE_OPTIONS ?? "").split(/\s+/)];
+  let mode = "throw";
+  args.forEach((arg, index) => {
+    if (arg.startsWith("--unhandled-rejections=")) mode = arg.slice(arg.indexOf("=") + 1);
+    else if (arg === "--unhandled-rejections" && args[index + 1]) mode = args[index + 1];
+  });
+  return mode;
+}
+
+// Listening for `uncaughtException` (or, in the default mode,
+// `unhandledRejection`) would stop Node from crashing, so crashes are only
+// observed. Node exits right after the monitor returns, which leaves no time
+// for async delivery: `logNow` sends the entry before returning.
+function captureProcessErrors(log, logNow, options = {}) {
+  const context = () => ({ pid: process.pid, cwd: process.cwd(), ...options.context });
+  const onMonitor = (error, origin) => {
+    const crashing = process.listenerCount("uncaughtException") === 0;
+    reportError(crashing ? logNow : log, origin, error, { context: context() });
+  };
+  const onRejection = (reason) => {
+    reportError(log, "unhandledRejection", reason, { context: context() });
+  };
+  // In these modes a listener changes nothing: rejections never crash, and
+  // warn still prints its warning.
+  const listenForRejections = ["warn", "none"].includes(unhandledRejectionsMode());
+
+  process.on("uncaughtExceptionMonitor", onMonitor);
+  if (listenForRejections) process.on("unhandledRejection", onRejection);
+  return () => {
+    process.off("uncaughtExceptionMonitor", onMonitor);
+    process.off("unhandledRejection", onRejection);
+  };
+}
+
+export function createLogger(options = {}) {
+  const debugDir = resolve(options.debugDir ?? ".debug");
+  const log = createCoreLogger(async (entries) => {
+    const { url, token } = discoverCollector(options, debugDir);
+    if (!url) {
+      appendEntries(debugDir, entries);
+      return;
+    }
+    try {
+      await postEntries(url, token, entries);
+    } catch (error) {
+      if (error.status === undefined) {
+        appendEntries(debugDir, entries);
+      }
+    }
+  }, options);
+  // Delivers one entry before returning, for a process about to exit.
+  const logNow = (...args) => {
+    if (options.enabled === false) return;
+    const entries = [buildEntry(options, ...args)];
+    const { url, token } = discoverCollector(options, debugDir);
+    if (url) {
+      try {
+        execFileSync(process.execPath, ["--input-type=module", "-e", POST_SCRIPT], {
+          input: JSON.stringify({ url, token, entries }),
+          stdio: ["pipe", "ignore", "ignore"],
+          timeout: EXIT_FLUSH_TIMEOUT_MS,
+        });
+        return;
+      } catch (error) {
+        if (error.status === 2) return;
+      }
+    }
+    appendEntries(debugDir, entries);
+  };
+  log.captureErrors = (captureOptions) => captureProcessErrors(log, logNow, captureOptions);
+  log.captureConsole = (captureOptions) => captureConsole(log, captureOptions);
+  log.captureNetwork = (captureOptions) => {
+    const restoreFetch = captureFetch(log, { ...options, ...captureOptions });
+    const restoreHttp = captureHttp(log, { ...options, ...captureOptions });
+    return () => {
+      restoreFetch();
+      restoreHttp();
+    };
+  };
+  return log;
+}
+
+/**
+ * Put every entry logged from here on in this async context in the trace the
+ * request carries, or in a new trace if it carries none. Call it first thing
+ * in a route handler or middleware. Returns the trace ID.
+ */
+export function enterTrace(request) {
+  const store = (globalThis.__DEBUG_TRACE_STORE__ ??= new AsyncLocalStorage());
+  const traceId = requestTraceId(request) ?? newTraceId();
+  store.enterWith(traceId);
+  return traceId;
+}
+
+export const debugLog = createLogger();
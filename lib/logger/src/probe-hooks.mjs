@@ -0,0 +1,167 @@
+/**
+ * Probe Hooks
+ *
+ * Module customization hooks registered by `register.mjs`; they run on the
+ * loader thread. Importing a probed ES module resolves to a generated wrapper
+ * (the same URL with `?debug-probe`) that re-exports everything from the real
+ * module and replaces the probed exports with wrapped functions. The real
+ * module keeps its URL, so it is evaluated once and `import.meta.url` is
+ * unchanged. CommonJS modules are left to the `require` patch in
+ * `register.mjs`.
+ */
+
+const MARKER = "debug-probe";
+
+let probesByUrl = new Map();
+let runtimeUrl;
+
+export function initialize(data) {
+  runtimeUrl = data.runtimeUrl;
+  probesByUrl = new Map();
+  for (const probe of data.probes) {
+    if (!probesByUrl.has(probe.url)) probesByUrl.set(probe.url, []);
+    probesByUrl.get(probe.url).push(probe);
+  }
+}
+
+function withoutMarker(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete(MARKER);
+  return parsed.href;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (
+    !probesByUrl.has(result.url) ||
+    result.format !== "module" ||
+    context.parentURL === `${result.url}?${MARKER}`
+  ) {
+    return result;
+  }
+  return { ...result, url: `${result.url}?${MARKER}`, shortCircuit: true };
+}
+
+// A `/` after one of these (or after a keyword like `return`) starts a
+// regular expression rather than dividing.
+const BEFORE_REGEX =
+  /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|do|else|in|of|void|yield|await|delete|throw|new))\s*$/;
+
+/**
+ * `source` with comments, strings, template text and regular expressions
+ * blanked out, so matching the rest can't be fooled by what they contain.
+ * Template substitutions are kept, since they are code.
+ */
+function codeOnly(source) {
+  let output = "";
+  let index = 0;
+  // Brace depth of each `${` we are inside of, innermost last.
+  const templates = [];
+  let depth = 0;
+  // Blank up to `end`; literals keep their delimiters, so what follows a
+  // string or regex still reads as following a value.
+  const skipTo = (end, literal = false) => {
+    const blank = source.slice(index, end).replace(/[^\n]/g, " ");
+    output += literal ? `${source[index]}${blank.slice(2)}${source[end - 1]}` : blank;
+    index = end;
+  };
+  const stringEnd = (start, quote) => {
+    let cursor = start + 1;
+    while (cursor < source.length && source[cursor] !== quote && source[cursor] !== "\n") {
+      cursor += source[cursor] === "\\" ? 2 : 1;
+    }
+    return Math.min(cursor + 1, source.length);
+  };
+  // From inside a template's text to just past its end or its next `${`.
+  const templateText = (start) => {
+    let cursor = start;
+    while (cursor < source.length) {
+      if (source[cursor] === "\\") cursor += 2;
+      else if (source[cursor] === "`") return { end: cursor + 1, substitution: false };
+      else if (source.startsWith("${", cursor)) return { end: cursor + 2, substitution: true };
+      else cursor += 1;
+    }
+    return { end: source.length, substitution: false };
+  };
+  const continueTemplate = (start) => {
+    const { end, substitution } = templateText(start);
+    skipTo(end);
+    if (substitution) templates.push(depth);
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const next = source[index + 1];
+    if (char === "/" && next === "/") {
+      const end = source.indexOf("\n", index);
+      skipTo(end === -1 ? source.length : end);
+    } else if (char === "/" && next === "*") {
+      const end = source.indexOf("*/", index + 2);
+      skipTo(end === -1 ? source.length : end + 2);
+    } else if (char === "'" || char === '"') {
+      skipTo(stringEnd(index, char), true);
+    } else if (char === "`") {
+      continueTemplate(index + 1);
+    } else if (char === "}" && templates.length > 0 && templates.at(-1) === depth) {
+      templates.pop();
+      continueTemplate(index + 1);
+    } else if (char === "/" && BEFORE_REGEX.test(output.trimEnd().slice(-16))) {
+      let cursor = index + 1;
+      let inClass = false;
+      while (cursor < source.length && source[cursor] !== "\n") {
+        if (source[cursor] === "\\") cursor += 1;
+        else if (source[cursor] === "[") inClass = true;
+        else if (source[cursor] === "]") inClass = false;
+        else if (source[cursor] === "/" && !inClass) break;
+        cursor += 1;
+      }
+      skipTo(Math.min(cursor + 1, source.length), true);
+    } else {
+      if (char === "{") depth += 1;
+      if (char === "}") depth -= 1;
+      output += char;
+      index += 1;
+    }
+  }
+  return output;
+}
+
+function wrapperSource(url, source, probes) {
+  const original = JSON.stringify(url);
+  const lines = [
+    `import { probeExport, probeMethod } from ${JSON.stringify(runtimeUrl)};`,
+    `import * as original from ${original};`,
+    `export * from ${original};`,
+  ];
+  // `export *` skips the default export, so pass it through when there is one.
+  const hasDefault = /\bexport\s+default\b|\bas\s+default\b/.test(codeOnly(source));
+  const exported = new Set();
+  for (const probe of probes) {
+    const args = `original, ${JSON.stringify(probe)}`;
+    if (probe.member) {
+      lines.push(`probeMethod(${args});`);
+    } else if (!exported.has(probe.exportName)) {
+      exported.add(probe.exportName);
+      lines.push(
+        probe.exportName === "default"
+          ? `export default probeExport(${args});`
+          : `export const ${probe.exportName} = probeExport(${args});`,
+      );
+    }
+  }
+  if (hasDefault && !exported.has("default")) {
+    lines.push(`export { default } from ${original};`);
+  }
+  return lines.join("\n");
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.includes(`?${MARKER}`)) return nextLoad(url, context);
+  const originalUrl = withoutMarker(url);
+  const { source } = await nextLoad(originalUrl, { ...context, format: "module" });
+  return {
+    format: "module",
+    source: wrapperSource(originalUrl, String(source), probesByUrl.get(originalUrl) ?? []),
+    shortCircuit: true,
+  };
+}
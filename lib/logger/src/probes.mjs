@@ -0,0 +1,192 @@
+/**
+ * Probes
+ *
+ * Runtime half of the `--import` probe loader: reads the probe list from
+ * .debug/probes.json and wraps the functions and class methods it names so
+ * each call is logged as a span ("<name> started" with the arguments,
+ * "<name> finished" with the return value or thrown error and the duration)
+ * without editing the source.
+ *
+ * A probe is `{ "target": "src/api/orders.mjs:processOrder", "hypothesisId":
+ * "A" }`; `Class.method` targets a method of an exported class. The target is
+ * the location of every entry. Paths are relative to the working directory.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { serializeValue } from "./console-bridge.mjs";
+import { CONSOLE_HYPOTHESIS, UNCAUGHT_HYPOTHESIS } from "./core.mjs";
+
+export const PROBES_FILE = "probes.json";
+
+// Marks functions already wrapped, so loading a module twice (ESM and
+// require) doesn't log every call twice.
+const wrapped = new WeakSet();
+
+/** Check one probe; returns an error message or null. */
+export function validateProbe(probe) {
+  if (!probe || typeof probe !== "object") return "must be an object";
+  const { target, hypothesisId } = probe;
+  if (typeof target !== "string" || !/^.+:[\w$]+(?:\.[\w$]+)?$/.test(target)) {
+    return "target must look like <file>:<export> or <file>:<Class>.<method>";
+  }
+  if (typeof hypothesisId !== "string" || !hypothesisId.trim()) {
+    return "hypothesisId is required";
+  }
+  if (hypothesisId === UNCAUGHT_HYPOTHESIS || hypothesisId === CONSOLE_HYPOTHESIS) {
+    return `hypothesis ID ${hypothesisId} is reserved for captured errors and console output`;
+  }
+  return null;
+}
+
+/**
+ * Read the probe list from `<debugDir>/probes.json` (an array, or an object
+ * with a `probes` array). Invalid probes are left out and described in
+ * `errors`; each probe gets the file URL of its module and its export and
+ * member names.
+ */
+export function loadProbes(debugDir, cwd = process.cwd()) {
+  const file = resolve(debugDir, PROBES_FILE);
+  if (!existsSync(file)) return { file, probes: [], errors: [`${file} not found`] };
+
+  let list;
+  try {
+    const parsed = JSON.parse(readFileSync(file, "utf8"));
+    list = Array.isArray(parsed) ? parsed : parsed?.probes;
+  } catch (error) {
+    return { file, probes: [], errors: [`${file}: ${error.message}`] };
+  }
+  if (!Array.isArray(list)) {
+    return { file, probes: [], errors: [`${file}: expected an array of probes`] };
+  }
+
+  const probes = [];
+  const errors = [];
+  list.forEach((probe, index) => {
+    const problem = validateProbe(probe);
+    if (problem) {
+      errors.push(`probe ${index + 1}: ${problem}`);
+      return;
+    }
+    const separator = probe.target.lastIndexOf(":");
+    const [exportName, member = null] = probe.target.slice(separator + 1).split(".");
+    probes.push({
+      target: probe.target,
+      hypothesisId: probe.hypothesisId,
+      url: pathToFileURL(resolve(cwd, probe.target.slice(0, separator))).href,
+      exportName,
+      member,
+    });
+  });
+  return { file, probes, errors };
+}
+
+function isClass(fn) {
+  return /^class\b/.test(Function.prototype.toString.call(fn));
+}
+
+function settle(span, value) {
+  span.end({ result: serializeValue(value) });
+  return value;
+}
+
+function fail(span, error) {
+  span.end({ error: error?.message ?? String(error), stack: error?.stack ?? null }, "error");
+  throw error;
+}
+
+/**
+ * Wrap `fn` so every call is logged as a span under the probe's target and
+ * hypothesis. Sync functions stay sync; a returned promise is followed to
+ * its result.
+ */
+export function wrapFunction(log, fn, probe) {
+  if (wrapped.has(fn)) return fn;
+  const name =
+    probe.member ?? (probe.exportName === "default" ? fn.name || "default" : probe.exportName);
+  const probed = function (...args) {
+    const span = log.span(probe.target, probe.hypothesisId, name, {
+      args: args.map((arg) => serializeValue(arg)),
+    });
+    let result;
+    try {
+      result = fn.apply(this, args);
+    } catch (error) {
+      fail(span, error);
+    }
+    if (typeof result?.then !== "function") return settle(span, result);
+    return result.then(
+      (value) => settle(span, value),
+      (error) => fail(span, error),
+    );
+  };
+  Object.defineProperty(probed, "name", { value: fn.name });
+  Object.defineProperty(probed, "length", { value: fn.length });
+  wrapped.add(probed);
+  return probed;
+}
+
+function warn(probe, problem) {
+  console.warn(`[debug-mode probes] ${probe.target}: ${problem}`);
+}
+
+/**
+ * The value to export in place of `namespace[probe.exportName]`: the wrapped
+ * function, or the original value (with a warning) when it can't be wrapped.
+ */
+export function probeExport(log, namespace, probe) {
+  const value = namespace[probe.exportName];
+  if (typeof value !== "function") {
+    warn(probe, value === undefined ? "no such export" : "export is not a function");
+    return value;
+  }
+  if (isClass(value)) {
+    warn(probe, `export is a class; probe its methods as ${probe.exportName}.<method>`);
+    return value;
+  }
+  return wrapFunction(log, value, probe);
+}
+
+/** Wrap `Class.prototype[member]` (or a static method) in place. */
+export function probeMethod(log, namespace, probe) {
+  const owner = namespace[probe.exportName];
+  if (typeof owner !== "function") {
+    warn(probe, owner === undefined ? "no such export" : "export is not a class");
+    return;
+  }
+  const holder = Object.hasOwn(owner.prototype ?? {}, probe.member) ? owner.prototype : owner;
+  const descriptor = Object.getOwnPropertyDescriptor(holder, probe.member);
+  if (typeof descriptor?.value !== "function") {
+    warn(probe, `${probe.exportName} has no method ${probe.member}`);
+    return;
+  }
+  Object.defineProperty(holder, probe.member, {
+    ...descriptor,
+    value: wrapFunction(log, descriptor.value, probe),
+  });
+}
+
+/**
+ * Apply probes to a CommonJS module's exports in place (for `require`).
+ * `module.exports` itself is wrapped when it is the probed function.
+ */
+export function probeCommonJs(log, exports, probes) {
+  let result = exports;
+  for (const probe of probes) {
+    if (probe.member) {
+      probeMethod(log, exports, probe);
+    } else if (probe.exportName === "default" && typeof exports === "function") {
+      result = wrapFunction(log, exports, probe);
+    } else {
+      const value = probeExport(log, exports, probe);
+      if (value === exports[probe.exportName]) continue;
+      try {
+        exports[probe.exportName] = value;
+      } catch {
+        warn(probe, "export is read-only");
+      }
+    }
+  }
+  return result;
+}
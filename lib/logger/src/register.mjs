@@ -0,0 +1,63 @@
+/**
+ * Probe Loader
+ *
+ * `node --import debug-mode-logger/register app.mjs` wraps the functions and
+ * class methods listed in .debug/probes.json as their modules load, and logs
+ * every call through the Node logger. The source is never edited, so there
+ * is nothing to remove afterwards: drop the flag and the probes are gone.
+ *
+ * ES modules are handled by the hooks in `probe-hooks.mjs`; CommonJS modules
+ * by patching `require`. Only calls that go through the module's exports are
+ * seen: a function calling its neighbour directly inside the same module
+ * bypasses the export. Set `DEBUG_DIR` to read probes.json (and find the
+ * collector) somewhere other than `.debug` in the working directory.
+ */
+
+import Module, { register } from "node:module";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { createLogger } from "./node.mjs";
+import * as probes from "./probes.mjs";
+
+const debugDir = resolve(process.env.DEBUG_DIR ?? ".debug");
+const log = createLogger({ debugDir });
+const loaded = probes.loadProbes(debugDir);
+
+for (const error of loaded.errors) {
+  console.warn(`[debug-mode probes] ${error}`);
+}
+
+/** Used by the generated wrapper modules. */
+export const probeExport = (namespace, probe) => probes.probeExport(log, namespace, probe);
+export const probeMethod = (namespace, probe) => probes.probeMethod(log, namespace, probe);
+
+const probesByUrl = new Map();
+for (const probe of loaded.probes) {
+  if (!probesByUrl.has(probe.url)) probesByUrl.set(probe.url, []);
+  probesByUrl.get(probe.url).push(probe);
+}
+
+if (probesByUrl.size > 0) {
+  register("./probe-hooks.mjs", import.meta.url, {
+    data: { probes: loaded.probes, runtimeUrl: import.meta.url },
+  });
+
+  const applied = new Set();
+  const load = Module._load;
+  Module._load = function (request, parent, isMain) {
+    const exports = load.apply(this, arguments);
+    let filename;
+    try {
+      filename = Module._resolveFilename(request, parent, isMain);
+    } catch {
+      return exports;
+    }
+    const moduleProbes = probesByUrl.get(pathToFileURL(filename).href);
+    if (!moduleProbes || applied.has(filename)) return exports;
+    applied.add(filename);
+
+    const result = probes.probeCommonJs(log, exports, moduleProbes);
+    if (result !== exports && Module._cache[filename]) Module._cache[filename].exports = result;
+    return result;
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Traces
+ *
+ * A trace ID links the entries of one user action across processes. The
+ * browser starts a new trace on every click and submit and sends its ID to
+ * the app's own server in an `X-Debug-Trace-Id` header on fetch and
+ * XMLHttpRequest calls; other origins are left alone, so no CORS preflight is
+ * triggered. The server enters the trace of each request it handles.
+ *
+ * Entries read the ID from `globalThis.__DEBUG_TRACE_STORE__` (an
+ * AsyncLocalStorage, on the server) or `__DEBUG_TRACE_ID__`, the same globals
+ * the pasted snippets use, so the two can be mixed.
+ */
+
+export const TRACE_HEADER = "X-Debug-Trace-Id";
+
+export function newTraceId() {
+  return Math.random().toString(36).slice(2, 14);
+}
+
+/** The trace ID sent with a Fetch `Request`, Node `IncomingMessage` or Express `req`. */
+export function requestTraceId(request) {
+  const headers = request?.headers;
+  const name = TRACE_HEADER.toLowerCase();
+  const value = typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+  return (Array.isArray(value) ? value[0] : value) || null;
+}
+
+function sameOrigin(url) {
+  try {
+    return new URL(url, location.href).origin === location.origin;
+  } catch {
+    return false;
+  }
+}
+
+function beginTrace() {
+  globalThis.__DEBUG_TRACE_ID__ = newTraceId();
+  return globalThis.__DEBUG_TRACE_ID__;
+}
+
+// Once per page: new traces on clicks and submits, and the header on every
+// same-origin request.
+function propagateTraces() {
+  if (typeof window === "undefined" || globalThis.__DEBUG_TRACE_INSTALLED__) return;
+  globalThis.__DEBUG_TRACE_INSTALLED__ = true;
+  window.addEventListener("click", beginTrace, true);
+  window.addEventListener("submit", beginTrace, true);
+
+  const originalFetch = window.fetch;
+  if (originalFetch) {
+    window.fetch = (input, init = {}) => {
+      const request = typeof Request !== "undefined" && input instanceof Request ? input : null;
+      if (!sameOrigin(request ? request.url : String(input))) return originalFetch(input, init);
+      const headers = new Headers(init.headers ?? request?.headers);
+      headers.set(TRACE_HEADER, globalThis.__DEBUG_TRACE_ID__);
+      return originalFetch(input, { ...init, headers });
+    };
+  }
+
+  if (typeof XMLHttpRequest !== "undefined") {
+    const { open, send } = XMLHttpRequest.prototype;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      this.__debugTraced = sameOrigin(String(url));
+      return open.call(this, method, url, ...rest);
+    };
+    XMLHttpRequest.prototype.send = function (body) {
+      if (this.__debugTraced) this.setRequestHeader(TRACE_HEADER, globalThis.__DEBUG_TRACE_ID__);
+      return send.call(this, body);
+    };
+  }
+}
+
+/**
+ * Start a new trace in the browser and return its ID. The first call also
+ * starts one on every click and submit, and sends the current ID with
+ * same-origin requests; call it again for actions that aren't a click.
+ */
+export function startTrace() {
+  propagateTraces();
+  return beginTrace();
+}
@@ -0,0 +1,66 @@
+/**
+ * Test Collector
+ *
+ * Starts the debug-mode skill's collector in a temporary project on a free
+ * port and waits until it has written .debug/collector.json and answers
+ * /health.
+ */
+
+import { spawn } from "node:child_process";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const COLLECTOR = fileURLToPath(
+  new URL("../../../skills/debug-mode/scripts/collector.mjs", import.meta.url),
+);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function tempProject() {
+  return mkdtempSync(join(tmpdir(), "debug-logger-"));
+}
+
+export function readLog(debugDir) {
+  const file = join(debugDir, "debug.log");
+  if (!existsSync(file)) return [];
+  return readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+export async function startCollector() {
+  const cwd = tempProject();
+  const debugDir = join(cwd, ".debug");
+  const child = spawn(process.execPath, [COLLECTOR], {
+    cwd,
+    env: { ...process.env, DEBUG_PORT: "0" },
+    stdio: "ignore",
+  });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill("SIGTERM");
+      await exited;
+    }
+    rmSync(cwd, { recursive: true, force: true });
+  };
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const infoFile = join(debugDir, "collector.json");
+    if (existsSync(infoFile)) {
+      const { url } = JSON.parse(readFileSync(infoFile, "utf8"));
+      const health = await fetch(`${url}/health`).catch(() => null);
+      if (health?.ok) {
+        const token = readFileSync(join(debugDir, "token"), "utf8").trim();
+        return { cwd, debugDir, url, token, readEntries: () => readLog(debugDir), stop };
+      }
+    }
+    await sleep(50);
+  }
+  await stop();
+  throw new Error("Collector did not start within 5s");
+}
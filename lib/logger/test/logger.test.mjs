@@ -0,0 +1,563 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { rmSync } from "node:fs";
+import http from "node:http";
+import { createRequire } from "node:module";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import * as browser from "debug-mode-logger/browser";
+import * as edge from "debug-mode-logger/edge";
+import * as node from "debug-mode-logger";
+import { readLog, startCollector, tempProject } from "./collector.mjs";
+
+const require = createRequire(import.meta.url);
+
+let collector;
+
+before(async () => {
+  collector = await startCollector();
+});
+
+after(async () => {
+  await collector?.stop();
+});
+
+const entriesFor = (hypothesisId) =>
+  collector.readEntries().filter((entry) => entry.hypothesisId === hypothesisId);
+
+describe("node entry", () => {
+  test("finds the collector and token through the debug directory", async () => {
+    const log = node.createLogger({ debugDir: collector.debugDir, sessionId: "node-esm" });
+    log("test.mjs:1", "NODE", "hello", { answer: 42 });
+    await log.flush();
+
+    const [entry] = entriesFor("NODE");
+    assert.equal(entry.message, "hello");
+    assert.deepEqual(entry.data, { answer: 42 });
+    assert.equal(entry.sessionId, "node-esm");
+    assert.equal(typeof entry.receivedSeq, "number");
+    assert.equal(typeof entry.seq, "number");
+    assert.equal(typeof entry.processId, "string");
+  });
+
+  test("require() resolves the CommonJS entry to the same logger", async () => {
+    const cjs = require("debug-mode-logger");
+    assert.equal(typeof cjs.createLogger, "function");
+    assert.equal(cjs.createLogger, node.createLogger);
+
+    const log = cjs.createLogger({ debugDir: collector.debugDir });
+    log("test.cjs:1", "NODE_CJS", "from require");
+    await log.flush();
+    assert.equal(entriesFor("NODE_CJS").length, 1);
+  });
+
+  test("appends to debug.log when no collector is running", async () => {
+    const cwd = tempProject();
+    const debugDir = join(cwd, ".debug");
+    try {
+      const log = node.createLogger({ debugDir });
+      log("test.mjs:2", "NODE_FILE", "no collector", null, "warn");
+      await log.flush();
+
+      const [entry] = readLog(debugDir);
+      assert.equal(entry.message, "no collector");
+      assert.equal(entry.level, "warn");
+      assert.equal(entry.receivedSeq, undefined);
+    } finally {
+      rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+
+  test("drops entries the collector refuses instead of throwing", async () => {
+    const log = node.createLogger({ debugDir: collector.debugDir, token: "wrong" });
+    log("test.mjs:3", "NODE_BAD_TOKEN", "refused");
+    await log.flush();
+    assert.equal(entriesFor("NODE_BAD_TOKEN").length, 0);
+  });
+});
+
+describe("node error capture", () => {
+  // Runs `body` in a child process that has captured errors into the collector.
+  const runChild = (body, nodeArgs = []) =>
+    spawnSync(
+      process.execPath,
+      [
+        ...nodeArgs,
+        "--input-type=module",
+        "-e",
+        `import { createLogger } from "debug-mode-logger";
+        const log = createLogger({ debugDir: ${JSON.stringify(collector.debugDir)} });
+        log.captureErrors({ context: { test: true } });
+        ${body}`,
+      ],
+      { cwd: import.meta.dirname, encoding: "utf8", timeout: 10000 },
+    );
+
+  test("reports an uncaught exception and still exits with code 1", () => {
+    const child = runChild(`setTimeout(() => { throw new TypeError("crash in timer"); });`);
+    assert.equal(child.status, 1);
+    assert.match(child.stderr, /crash in timer/);
+
+    const [entry] = entriesFor("UNCAUGHT").filter((item) => item.data.kind === "uncaughtException");
+    assert.equal(entry.message, "TypeError: crash in timer");
+    assert.equal(entry.level, "error");
+    assert.match(entry.data.stack, /crash in timer/);
+    assert.equal(entry.data.context.test, true);
+  });
+
+  test("reports an unhandled rejection", () => {
+    const child = runChild(`Promise.reject(new RangeError("rejected"));`);
+    assert.equal(child.status, 1);
+
+    const [entry] = entriesFor("UNCAUGHT").filter(
+      (item) => item.data.kind === "unhandledRejection",
+    );
+    assert.equal(entry.message, "RangeError: rejected");
+  });
+
+  test("reports rejections without crashing under --unhandled-rejections=warn", () => {
+    const child = runChild(
+      `Promise.reject(new Error("only a warning"));
+      setTimeout(() => console.log("still running"), 200);`,
+      ["--unhandled-rejections=warn"],
+    );
+    assert.equal(child.status, 0);
+    assert.match(child.stdout, /still running/);
+    assert.match(child.stderr, /only a warning/);
+
+    const [entry] = entriesFor("UNCAUGHT").filter(
+      (item) => item.message === "Error: only a warning",
+    );
+    assert.equal(entry.data.kind, "unhandledRejection");
+  });
+
+  test("leaves the process running when the app handles the error itself", () => {
+    const child = runChild(`process.on("uncaughtException", () => console.log("handled"));
+      setTimeout(() => { throw new Error("handled elsewhere"); });`);
+    assert.equal(child.status, 0);
+    assert.match(child.stdout, /handled/);
+  });
+});
+
+describe("edge entry", () => {
+  test("posts to the configured url with the token", async () => {
+    const log = edge.createLogger({
+      url: collector.url,
+      token: collector.token,
+      runId: "edge-run",
+    });
+    log("worker.mjs:1", "EDGE", "from a worker");
+    await log.flush();
+
+    const [entry] = entriesFor("EDGE");
+    assert.equal(entry.message, "from a worker");
+    assert.equal(entry.runId, "edge-run");
+  });
+
+  test("reads url and token from globals", async () => {
+    globalThis.__DEBUG_COLLECTOR_URL__ = collector.url;
+    globalThis.__DEBUG_TOKEN__ = collector.token;
+    try {
+      const log = edge.createLogger();
+      log("worker.mjs:2", "EDGE_GLOBALS", "configured by globals");
+      await log.flush();
+      assert.equal(entriesFor("EDGE_GLOBALS").length, 1);
+    } finally {
+      delete globalThis.__DEBUG_COLLECTOR_URL__;
+      delete globalThis.__DEBUG_TOKEN__;
+    }
+  });
+
+  test("captures error and unhandledrejection events on the global scope", async () => {
+    const target = new EventTarget();
+    globalThis.addEventListener = target.addEventListener.bind(target);
+    globalThis.removeEventListener = target.removeEventListener.bind(target);
+    try {
+      const log = edge.createLogger({ url: collector.url, token: collector.token });
+      const stop = log.captureErrors({ context: { worker: "edge-test" } });
+      const error = Object.assign(new Event("error"), {
+        error: new Error("worker crashed"),
+        filename: "https://example.test/worker.js",
+        lineno: 12,
+      });
+      target.dispatchEvent(error);
+      target.dispatchEvent(
+        Object.assign(new Event("unhandledrejection"), { reason: "plain reason" }),
+      );
+      stop();
+      target.dispatchEvent(error);
+      await log.flush();
+
+      const entries = entriesFor("UNCAUGHT").filter((item) => item.data.context.worker);
+      assert.deepEqual(
+        entries.map((entry) => [entry.data.kind, entry.location, entry.message]),
+        [
+          ["error", "https://example.test/worker.js:12", "Error: worker crashed"],
+          ["unhandledrejection", "unhandledrejection", "plain reason"],
+        ],
+      );
+    } finally {
+      delete globalThis.addEventListener;
+      delete globalThis.removeEventListener;
+    }
+  });
+});
+
+describe("browser entry", () => {
+  test("sends batched entries in one request", async () => {
+    const log = browser.createLogger({ url: collector.url, token: collector.token, batch: true });
+    for (let i = 0; i < 5; i++) {
+      log("app.js:1", "BROWSER_BATCH", `entry ${i}`, { i });
+    }
+    assert.equal(entriesFor("BROWSER_BATCH").length, 0);
+    await log.flush();
+
+    const entries = entriesFor("BROWSER_BATCH");
+    assert.deepEqual(
+      entries.map((entry) => entry.data.i),
+      [0, 1, 2, 3, 4],
+    );
+  });
+
+  test("uses sendBeacon for entries flushed while unloading", async () => {
+    const beacons = [];
+    const original = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+    Object.defineProperty(globalThis, "navigator", {
+      configurable: true,
+      value: { sendBeacon: (url, body) => beacons.push({ url, body }) > 0 },
+    });
+    try {
+      const log = browser.createLogger({ url: collector.url, token: "beacon-token", batch: true });
+      log("app.js:2", "BROWSER_BEACON", "first");
+      log("app.js:3", "BROWSER_BEACON", "second");
+      await log.flush(true);
+
+      assert.equal(beacons.length, 1);
+      assert.equal(beacons[0].url, `${collector.url}/ingest/batch?token=beacon-token`);
+      assert.equal(beacons[0].body.split("\n").length, 2);
+    } finally {
+      if (original) {
+        Object.defineProperty(globalThis, "navigator", original);
+      } else {
+        delete globalThis.navigator;
+      }
+    }
+  });
+});
+
+describe("traces", () => {
+  test("startTrace tags same-origin requests and starts a new trace on clicks", async () => {
+    const requests = [];
+    const page = new EventTarget();
+    page.fetch = async (input, init) => requests.push([String(input), init.headers]);
+    Object.assign(globalThis, { window: page, location: new URL("https://app.test/cart") });
+    try {
+      const first = browser.startTrace();
+      await window.fetch("/api/cart", { headers: { accept: "application/json" } });
+      await window.fetch("https://cdn.test/app.js", {});
+      page.dispatchEvent(new Event("click"));
+      const second = globalThis.__DEBUG_TRACE_ID__;
+      await window.fetch("https://app.test/api/checkout");
+
+      assert.notEqual(first, second);
+      assert.equal(requests[0][1].get("x-debug-trace-id"), first);
+      assert.equal(requests[0][1].get("accept"), "application/json");
+      assert.equal(requests[1][1], undefined);
+      assert.equal(requests[2][1].get("x-debug-trace-id"), second);
+    } finally {
+      for (const name of [
+        "window",
+        "location",
+        "__DEBUG_TRACE_ID__",
+        "__DEBUG_TRACE_INSTALLED__",
+      ]) {
+        delete globalThis[name];
+      }
+    }
+  });
+
+  test("enterTrace tags each request's entries with its trace ID", async () => {
+    const log = node.createLogger({ debugDir: collector.debugDir });
+    const server = http.createServer((request, response) => {
+      const traceId = node.enterTrace(request);
+      setTimeout(() => {
+        log("server.mjs:1", "TRACE_SERVER", "handled", { traceId });
+        response.end();
+      }, 5);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    try {
+      await Promise.all([
+        fetch(url, { headers: { "X-Debug-Trace-Id": "from-browser" } }),
+        fetch(url),
+      ]);
+      await log.flush();
+    } finally {
+      server.close();
+    }
+
+    const entries = entriesFor("TRACE_SERVER");
+    assert.equal(entries.length, 2);
+    assert.ok(entries.every((entry) => entry.traceId === entry.data.traceId));
+    assert.deepEqual(entries.map((entry) => entry.traceId === "from-browser").sort(), [
+      false,
+      true,
+    ]);
+    // In a callback of its own, so the trace doesn't leak into later tests.
+    const request = new Request(url, { headers: { "x-debug-trace-id": "t1" } });
+    const traceId = await new Promise((resolve) =>
+      setImmediate(() => resolve(node.enterTrace(request))),
+    );
+    assert.equal(traceId, "t1");
+  });
+});
+
+describe("console bridge", () => {
+  test("forwards console calls with level, caller location and serialized arguments", async () => {
+    const log = edge.createLogger({ url: collector.url, token: collector.token });
+    const restore = log.captureConsole({ methods: ["warn"] });
+    const circular = { name: "cart", big: 10n };
+    circular.self = circular;
+    try {
+      console.warn("low stock", circular, new Error("oops"));
+    } finally {
+      restore();
+    }
+    console.warn("after restore");
+    await log.flush();
+
+    const [entry] = entriesFor("CONSOLE");
+    assert.equal(entriesFor("CONSOLE").length, 1);
+    assert.equal(entry.level, "warn");
+    assert.match(entry.location, /logger\.test\.mjs:\d+$/);
+    assert.match(entry.message, /^low stock \{"name":"cart","big":"10n","self":"\[Circular\]"\}/);
+    assert.equal(entry.data.method, "warn");
+    assert.deepEqual(entry.data.args[1], { name: "cart", big: "10n", self: "[Circular]" });
+    assert.equal(entry.data.args[2].message, "oops");
+  });
+
+  test("doesn't forward console calls the logger makes while delivering", async () => {
+    const originalFetch = globalThis.fetch;
+    let requests = 0;
+    globalThis.fetch = () => {
+      requests += 1;
+      console.error("collector unreachable");
+      throw new Error("offline");
+    };
+    const log = edge.createLogger({ url: collector.url, token: collector.token });
+    const restore = log.captureConsole({ methods: ["error"] });
+    try {
+      console.error("app failure");
+      await log.flush();
+    } finally {
+      restore();
+      globalThis.fetch = originalFetch;
+    }
+    assert.equal(requests, 1);
+  });
+
+  test("doesn't forward console calls made after an await inside a delivery", async () => {
+    const originalFetch = globalThis.fetch;
+    let requests = 0;
+    // Like an app's fetch interceptor that logs once the response is in.
+    globalThis.fetch = async (...args) => {
+      requests += 1;
+      const response = await originalFetch(...args);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      console.warn("interceptor saw", response.status);
+      return response;
+    };
+    const log = node.createLogger({ url: collector.url, token: collector.token });
+    const restore = log.captureConsole({ methods: ["warn"], hypothesisId: "CONSOLE_ASYNC" });
+    try {
+      console.warn("app warning");
+      await log.flush();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await log.flush();
+    } finally {
+      restore();
+      globalThis.fetch = originalFetch;
+    }
+    assert.equal(requests, 1);
+    assert.deepEqual(
+      entriesFor("CONSOLE_ASYNC").map((entry) => entry.message),
+      ["app warning"],
+    );
+  });
+});
+
+describe("network capture", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        const status = request.url.startsWith("/missing") ? 404 : 200;
+        response.writeHead(status, { "Content-Type": "application/json", "X-Request-Id": "r-1" });
+        response.end(
+          JSON.stringify({ path: request.url, received: body, padding: "x".repeat(100) }),
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test("logs fetch and node:http requests with status, headers and body previews", async () => {
+    const log = node.createLogger({ debugDir: collector.debugDir });
+    const stop = log.captureNetwork({ hypothesisId: "NET", include: [base], bodyPreview: 40 });
+    try {
+      const response = await fetch(`${base}/orders?id=1`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: "Bearer secret" },
+        body: JSON.stringify({ id: 1 }),
+      });
+      assert.equal((await response.json()).received, '{"id":1}');
+      log("app.mjs:1", "NET_OTHER", "not a request");
+
+      await new Promise((resolve, reject) => {
+        http
+          .get(`${base}/missing`, (response) => {
+            response.on("data", () => {});
+            response.on("end", resolve);
+          })
+          .on("error", reject);
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    } finally {
+      stop();
+    }
+    await log.flush();
+
+    const entries = entriesFor("NET");
+    assert.equal(entries.length, 2, "collector traffic is not captured");
+    const [posted, missing] = entries;
+    assert.equal(posted.message, `POST ${base}/orders?id=1 -> 200`);
+    assert.match(posted.location, /logger\.test\.mjs:\d+$/);
+    assert.equal(posted.data.method, "POST");
+    assert.equal(posted.data.status, 200);
+    assert.equal(typeof posted.data.durationMs, "number");
+    assert.deepEqual(posted.data.requestHeaders, { "content-type": "application/json" });
+    assert.equal(posted.data.requestBody, '{"id":1}');
+    assert.equal(posted.data.responseHeaders["x-request-id"], "r-1");
+    assert.match(posted.data.responseBody, /^\{"path":"\/orders\?id=1",.{17}\.\.\. \[\d+ more\]$/);
+
+    assert.equal(missing.data.method, "GET");
+    assert.equal(missing.data.status, 404);
+    assert.equal(missing.level, "warn");
+    assert.match(missing.data.responseBody, /^\{"path":"\/missing"/);
+  });
+
+  test("applies exclude patterns and logs failed requests as errors", async () => {
+    const log = edge.createLogger({ url: collector.url, token: collector.token });
+    const stop = log.captureNetwork({ hypothesisId: "NET_FAIL", exclude: [`${base}/skip*`] });
+    try {
+      await fetch(`${base}/skip/this`);
+      await assert.rejects(fetch("http://127.0.0.1:1/unreachable"));
+    } finally {
+      stop();
+    }
+    await log.flush();
+
+    const entries = entriesFor("NET_FAIL");
+    assert.deepEqual(
+      entries.map((entry) => [entry.data.url, entry.level, entry.data.status]),
+      [["http://127.0.0.1:1/unreachable", "error", null]],
+    );
+    assert.equal(typeof entries[0].data.error, "string");
+  });
+
+  test("logs XMLHttpRequest calls in the browser entry", async () => {
+    class FakeXhr extends EventTarget {
+      open(method, url) {
+        this.url = url;
+      }
+      setRequestHeader() {}
+      send() {
+        Object.assign(this, { status: 201, responseType: "", responseText: '{"ok":true}' });
+        this.dispatchEvent(new Event("loadend"));
+      }
+      getResponseHeader(name) {
+        return name === "content-type" ? "application/json" : null;
+      }
+    }
+    globalThis.XMLHttpRequest = FakeXhr;
+    try {
+      const log = browser.createLogger({ url: collector.url, token: collector.token });
+      const stop = log.captureNetwork({ hypothesisId: "NET_XHR" });
+      const xhr = new XMLHttpRequest();
+      xhr.open("put", "https://api.example.test/cart");
+      xhr.setRequestHeader("Content-Type", "text/plain");
+      xhr.send("qty=2");
+      stop();
+      await log.flush();
+    } finally {
+      delete globalThis.XMLHttpRequest;
+    }
+
+    const [entry] = entriesFor("NET_XHR");
+    assert.equal(entry.message, "PUT https://api.example.test/cart -> 201");
+    assert.deepEqual(entry.data.requestHeaders, { "content-type": "text/plain" });
+    assert.equal(entry.data.requestBody, "qty=2");
+    assert.equal(entry.data.responseBody, '{"ok":true}');
+  });
+});
+
+describe("shared behavior", () => {
+  test("spans and wrapped functions log start and end with duration", async () => {
+    const log = edge.createLogger({ url: collector.url, token: collector.token });
+    const span = log.span("job.mjs:1", "SPAN", "job");
+    span.end({ done: true });
+    const failing = log.wrap("job.mjs:2", "SPAN", "failing", async () => {
+      throw new Error("boom");
+    });
+    await assert.rejects(failing(), /boom/);
+    await log.flush();
+
+    const entries = entriesFor("SPAN");
+    const ends = entries.filter((entry) => entry.span.phase === "end");
+    assert.equal(entries.length, 4);
+    assert.deepEqual(
+      ends.map((entry) => [entry.span.name, entry.span.outcome, entry.level]),
+      [
+        ["job", "ok", "info"],
+        ["failing", "error", "error"],
+      ],
+    );
+    assert.ok(ends.every((entry) => typeof entry.span.durationMs === "number"));
+    assert.deepEqual(ends[1].data, { error: "boom" });
+  });
+
+  test("assert logs the outcome and the expectation", async () => {
+    const log = edge.createLogger({ url: collector.url, token: collector.token });
+    log.assert("cart.mjs:1", "ASSERT", [1].length > 0, "cart has items");
+    log.assert("cart.mjs:2", "ASSERT", undefined, "total is set", { total: undefined });
+    await log.flush();
+
+    assert.deepEqual(
+      entriesFor("ASSERT").map((entry) => [entry.message, entry.level, entry.assertion]),
+      [
+        [
+          "Assertion passed: cart has items",
+          "info",
+          { passed: true, expectation: "cart has items" },
+        ],
+        ["Assertion failed: total is set", "warn", { passed: false, expectation: "total is set" }],
+      ],
+    );
+  });
+
+  test("enabled: false makes every call a no-op", async () => {
+    const log = edge.createLogger({ url: collector.url, token: collector.token, enabled: false });
+    log("off.mjs:1", "DISABLED", "never sent");
+    await log.flush();
+    assert.equal(entriesFor("DISABLED").length, 0);
+  });
+});
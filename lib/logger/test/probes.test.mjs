@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+
+import { startCollector } from "./collector.mjs";
+
+const REGISTER = new URL("../src/register.mjs", import.meta.url).href;
+
+let collector;
+
+before(async () => {
+  collector = await startCollector();
+  mkdirSync(join(collector.cwd, "src"));
+  writeFileSync(
+    join(collector.cwd, "src", "orders.mjs"),
+    `export async function processOrder(order) {
+      if (!order.items) throw new Error("no items");
+      return { total: order.items.length };
+    }
+    export function add(a, b) { return a + b; }
+    export class Cart {
+      checkout(total) { return total * 2; }
+    }
+    export default function main() { return add(1, 1); }
+    export const label = "orders";`,
+  );
+  writeFileSync(join(collector.cwd, "src", "legacy.cjs"), "exports.sum = (a, b) => a + b;");
+  writeFileSync(
+    join(collector.cwd, "src", "named.mjs"),
+    `// export default was removed in favour of named exports
+    export const hint = "use { double } as default is gone";
+    export function double(n) { return n * 2; }`,
+  );
+});
+
+after(async () => {
+  await collector?.stop();
+});
+
+const entriesFor = (hypothesisId) =>
+  collector.readEntries().filter((entry) => entry.hypothesisId === hypothesisId);
+
+// Runs `body` as an ES module in the project with the probe loader imported.
+const runWithProbes = (probes, body) => {
+  writeFileSync(join(collector.debugDir, "probes.json"), JSON.stringify({ probes }));
+  return spawnSync(process.execPath, ["--import", REGISTER, "--input-type=module", "-e", body], {
+    cwd: collector.cwd,
+    encoding: "utf8",
+    timeout: 10000,
+  });
+};
+
+test("logs calls, results and errors of probed exports without changing them", () => {
+  const child = runWithProbes(
+    [
+      { target: "src/orders.mjs:processOrder", hypothesisId: "PROBE_A" },
+      { target: "src/orders.mjs:Cart.checkout", hypothesisId: "PROBE_A" },
+    ],
+    `import { processOrder, Cart, label } from "./src/orders.mjs";
+    import main from "./src/orders.mjs";
+    console.log(await processOrder({ items: [1, 2] }), new Cart().checkout(3), label, main());
+    await processOrder({}).catch((error) => console.log(error.message));`,
+  );
+  assert.equal(child.status, 0, child.stderr);
+  assert.match(child.stdout, /\{ total: 2 \} 6 orders 2\nno items/);
+
+  const entries = entriesFor("PROBE_A");
+  assert.deepEqual(
+    entries.map((entry) => entry.message),
+    [
+      "processOrder started",
+      "processOrder finished",
+      "checkout started",
+      "checkout finished",
+      "processOrder started",
+      "processOrder finished",
+    ],
+  );
+  assert.equal(entries[0].location, "src/orders.mjs:processOrder");
+  assert.deepEqual(entries[0].data, { args: [{ items: [1, 2] }] });
+  assert.deepEqual(entries[1].data, { result: { total: 2 } });
+  assert.equal(typeof entries[1].span.durationMs, "number");
+  assert.equal(entries[3].location, "src/orders.mjs:Cart.checkout");
+  assert.equal(entries[5].level, "error");
+  assert.equal(entries[5].span.outcome, "error");
+  assert.equal(entries[5].data.error, "no items");
+});
+
+test("probes CommonJS exports loaded with require or import", () => {
+  const child = runWithProbes(
+    [{ target: "src/legacy.cjs:sum", hypothesisId: "PROBE_CJS" }],
+    `import { createRequire } from "node:module";
+    import imported from "./src/legacy.cjs";
+    const require = createRequire(import.meta.url);
+    console.log(require("./src/legacy.cjs").sum(2, 3), imported.sum(1, 1));`,
+  );
+  assert.equal(child.status, 0, child.stderr);
+  assert.match(child.stdout, /5 2/);
+  assert.deepEqual(
+    entriesFor("PROBE_CJS").map((entry) => entry.data),
+    [{ args: [2, 3] }, { result: 5 }, { args: [1, 1] }, { result: 2 }],
+  );
+});
+
+test("doesn't mistake export default in a comment or string for a default export", () => {
+  const child = runWithProbes(
+    [{ target: "src/named.mjs:double", hypothesisId: "PROBE_NAMED" }],
+    `import * as named from "./src/named.mjs";
+    console.log(named.double(4), "default" in named);`,
+  );
+  assert.equal(child.status, 0, child.stderr);
+  assert.match(child.stdout, /8 false/);
+  assert.deepEqual(
+    entriesFor("PROBE_NAMED").map((entry) => entry.data),
+    [{ args: [4] }, { result: 8 }],
+  );
+});
+
+test("warns about invalid probes and missing exports but still runs the app", () => {
+  const child = runWithProbes(
+    [
+      { target: "src/orders.mjs:missing", hypothesisId: "PROBE_BAD" },
+      { target: "src/orders.mjs", hypothesisId: "PROBE_BAD" },
+      { target: "src/orders.mjs:add", hypothesisId: "UNCAUGHT" },
+    ],
+    `import { add } from "./src/orders.mjs"; console.log(add(2, 2));`,
+  );
+  assert.equal(child.status, 0, child.stderr);
+  assert.match(child.stdout, /4/);
+  assert.match(child.stderr, /probe 2: target must look like/);
+  assert.match(child.stderr, /probe 3: hypothesis ID UNCAUGHT is reserved/);
+  assert.match(child.stderr, /src\/orders.mjs:missing: no such export/);
+  assert.equal(entriesFor("PROBE_BAD").length, 0);
+});
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+import "../skills/debug-fixed/scripts/remove-instrumentation.mjs";
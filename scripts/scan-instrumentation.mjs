@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+import "../skills/debug-reproduced/scripts/scan-instrumentation.mjs";
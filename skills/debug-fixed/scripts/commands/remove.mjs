@@ -0,0 +1,101 @@
+/**
+ * remove - delete every `__debugLog(...)`/`__d(...)` call, the logger
+ * declarations and any imports only the logger used from JS/TS files. Spans
+ * go with their `end()` calls and `__debugLog.wrap(..., fn)` is unwrapped to
+ * `fn`.
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { relative } from "node:path";
+import { EXIT_FAILURE, cliError, printJson } from "../cli.mjs";
+import { removeInstrumentation } from "../instrumentation-remover.mjs";
+import { collectSourceFiles } from "../js-scanner.mjs";
+import { colors, formatDiff } from "../line-diff.mjs";
+
+export const usage = ["remove [paths...] [--dry-run]"];
+export const description =
+  "Cleans the working directory when no paths are given. Exits with 1 if any logger reference\nwould be left behind.";
+export const options = {
+  "dry-run": { type: "boolean", description: "Print a diff of the changes without writing files" },
+};
+
+export async function run({ json, "dry-run": dryRun = false }, paths) {
+  const files = (paths.length > 0 ? paths : [process.cwd()]).flatMap((path) =>
+    collectSourceFiles(path),
+  );
+  const totals = { calls: 0, declarations: 0, files: 0, imports: 0 };
+  const changed = [];
+  const inline = [];
+  const leftovers = [];
+  const failures = [];
+  const writes = [];
+
+  // Every file is processed before any is written, so a file that can't be
+  // cleaned doesn't leave the tree half-cleaned.
+  for (const file of files) {
+    const name = relative(process.cwd(), file) || file;
+    let source;
+    let result;
+    try {
+      source = readFileSync(file, "utf8");
+      if (!/__debug(?:Log|Assert)|__d\b/.test(source)) continue;
+      result = removeInstrumentation(source);
+    } catch (error) {
+      failures.push(`  ${name}: ${error.message}`);
+      continue;
+    }
+
+    for (const leftover of result.leftovers) {
+      leftovers.push({ file: name, ...leftover });
+    }
+    for (const item of result.inline) {
+      inline.push({ file: name, ...item });
+      console.error(
+        `${colors.yellow}${name}:${item.line}${colors.reset} call replaced with ${item.replacement} - review it`,
+      );
+    }
+
+    if (result.output === source) continue;
+
+    totals.files += 1;
+    totals.calls += result.calls;
+    totals.declarations += result.declarations;
+    totals.imports += result.imports;
+    changed.push(name);
+
+    if (dryRun) {
+      if (!json) {
+        console.log(formatDiff(name, source, result.output));
+        console.log();
+      }
+    } else {
+      writes.push([file, result.output]);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw cliError(`No files were changed; these could not be processed:\n${failures.join("\n")}`);
+  }
+  for (const [file, output] of writes) {
+    writeFileSync(file, output);
+  }
+
+  if (json) {
+    printJson({ dryRun, files: changed, totals, inline, leftovers });
+    return leftovers.length > 0 ? EXIT_FAILURE : undefined;
+  }
+
+  const verb = dryRun ? "Would remove" : "Removed";
+  console.log(
+    `${verb} ${totals.calls} call(s), ${totals.declarations} logger declaration(s) and ` +
+      `${totals.imports} unused binding(s) from ${totals.files} file(s)`,
+  );
+
+  if (leftovers.length > 0) {
+    console.error(`${colors.red}Instrumentation left behind:${colors.reset}`);
+    for (const leftover of leftovers) {
+      console.error(`  ${leftover.file}:${leftover.line} ${leftover.text}`);
+    }
+    return EXIT_FAILURE;
+  }
+}
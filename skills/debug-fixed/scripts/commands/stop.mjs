@@ -0,0 +1,108 @@
+/**
+ * stop - terminate the collector started by `start`, escalating to SIGKILL
+ * if it doesn't exit within three seconds.
+ */
+
+import { existsSync, readFileSync, unlinkSync } from "node:fs";
+import { join } from "node:path";
+import { cliError, printJson } from "../cli.mjs";
+import { isProcessRunning, readCollectorInfo, removeCollectorInfo } from "../collector-info.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const PID_FILE = join(DEBUG_DIR, "collector.pid");
+const INFO_FILE = join(DEBUG_DIR, "collector.json");
+
+export const usage = ["stop"];
+export const options = {};
+
+async function waitForTermination(pid, timeoutMs = 3000) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeoutMs) {
+    if (!isProcessRunning(pid)) {
+      return true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return false;
+}
+
+function removePidFiles(pid) {
+  try {
+    if (existsSync(PID_FILE)) {
+      unlinkSync(PID_FILE);
+    }
+  } catch {
+    // Ignore cleanup errors.
+  }
+  removeCollectorInfo(INFO_FILE, pid);
+}
+
+// Collectors from before collector.json existed only left a PID file.
+function readPid() {
+  const info = readCollectorInfo(INFO_FILE);
+  if (info) {
+    return info.pid;
+  }
+  if (!existsSync(PID_FILE)) {
+    return null;
+  }
+  try {
+    return parseInt(readFileSync(PID_FILE, "utf8").trim(), 10);
+  } catch (error) {
+    throw cliError(`Failed to read PID file: ${error.message}`);
+  }
+}
+
+function stopCollector() {
+  const pid = readPid();
+  if (pid === null) {
+    return {
+      status: "not-running",
+      pid: null,
+      message: "Debug collector is not running (no PID file)",
+    };
+  }
+
+  if (!isProcessRunning(pid)) {
+    removePidFiles(pid);
+    return {
+      status: "not-running",
+      pid,
+      message: "Debug collector is not running (stale PID file)",
+    };
+  }
+
+  try {
+    process.kill(pid, "SIGTERM");
+  } catch (error) {
+    throw cliError(`Failed to send SIGTERM: ${error.message}`);
+  }
+  return { status: "stopping", pid };
+}
+
+export async function run({ json }) {
+  const result = stopCollector();
+  if (result.status === "stopping") {
+    if (await waitForTermination(result.pid)) {
+      removePidFiles(result.pid);
+      result.status = "stopped";
+      result.message = `Debug collector stopped (PID: ${result.pid})`;
+    } else {
+      console.error("Debug collector did not terminate gracefully");
+      try {
+        process.kill(result.pid, "SIGKILL");
+      } catch {
+        // Process might have terminated already.
+      }
+      result.status = "killed";
+      result.message = "Sent SIGKILL";
+    }
+  }
+
+  const { message, ...status } = result;
+  if (json) {
+    printJson(status);
+  } else {
+    console.log(message);
+  }
+}
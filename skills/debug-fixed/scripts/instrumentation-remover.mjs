@@ -0,0 +1,474 @@
+/**
+ * Instrumentation Remover
+ *
+ * Strips debug instrumentation from a JS/TS source string: every logger call
+ * (single or multi-line), the logger declarations from the snippet variants,
+ * and any imports or types that only the logger used. Spans are removed
+ * together with their `end()` calls, and `__debugLog.wrap(..., fn)` is
+ * replaced by `fn`.
+ */
+
+import {
+  CONTINUES_BEFORE,
+  INSTRUMENT_TAG,
+  LOGGER_NAME,
+  codeTokens,
+  findLoggerCalls,
+  findStatementEnd,
+  isStatementStart,
+  matchBracket,
+  matchBracketBackward,
+} from "./js-scanner.mjs";
+
+const CONTROL_KEYWORDS = new Set(["if", "for", "while", "with"]);
+const DECLARATION_KEYWORDS = new Set(["const", "let", "var"]);
+
+// Where a call sits decides how it can be removed without breaking syntax:
+// "statement" - delete it; "body" - sole body of an unbraced if/else/loop,
+// leave an empty statement; "expression" - replace it with `undefined`.
+function callContext(tokens, call) {
+  const previous = tokens[call.first - 1];
+  const next = tokens[call.close + 1];
+  if (next && next.line === tokens[call.close].line && next.value !== ";" && next.value !== "}") {
+    if (CONTINUES_BEFORE.test(next.value)) return "expression";
+  }
+  if (next && CONTINUES_BEFORE.test(next.value) && next.value !== "(" && next.value !== "[") {
+    return "expression";
+  }
+
+  if (!previous) return "statement";
+  if (previous.type === "ident" && (previous.value === "else" || previous.value === "do")) {
+    return "body";
+  }
+  if (previous.value === ")") {
+    const open = matchBracketBackward(tokens, call.first - 1);
+    if (open > 0 && CONTROL_KEYWORDS.has(tokens[open - 1].value)) return "body";
+  }
+  if (previous.value === ":") {
+    for (let cursor = call.first - 2; cursor >= 0; cursor -= 1) {
+      const { value } = tokens[cursor];
+      if (value === "case" || value === "default") return "statement";
+      if (value === "?" || value === "{" || value === "(" || value === ";") break;
+    }
+    return "expression";
+  }
+  return isStatementStart(tokens, call.first) ? "statement" : "expression";
+}
+
+function findLoggerDeclarations(tokens) {
+  const declarations = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+
+    // `__debugLog.span = ...` attaches a helper to an existing logger.
+    if (
+      token.type === "ident" &&
+      LOGGER_NAME.test(token.value) &&
+      tokens[index + 1]?.value === "." &&
+      tokens[index + 2]?.type === "ident" &&
+      tokens[index + 3]?.value === "=" &&
+      isStatementStart(tokens, index)
+    ) {
+      const last = findStatementEnd(tokens, index);
+      declarations.push({ first: index, last, name: token.value });
+      index = last;
+      continue;
+    }
+
+    const name = tokens[index + 1];
+    if (!name || name.type !== "ident" || !LOGGER_NAME.test(name.value)) continue;
+    if (!isStatementStart(tokens, index) && tokens[index - 1]?.value !== "export") continue;
+
+    let last;
+    if (DECLARATION_KEYWORDS.has(token.value) && /^[=:]$/.test(tokens[index + 2]?.value)) {
+      last = findStatementEnd(tokens, index);
+    } else if (token.value === "function" && tokens[index + 2]?.value === "(") {
+      let body = matchBracket(tokens, index + 2) + 1;
+      while (body < tokens.length && tokens[body].value !== "{") body += 1;
+      last = body < tokens.length ? matchBracket(tokens, body) : -1;
+    } else {
+      continue;
+    }
+    if (last === -1) continue;
+
+    const first = tokens[index - 1]?.value === "export" ? index - 1 : index;
+    declarations.push({ first, last, name: name.value });
+    index = last;
+  }
+
+  return declarations;
+}
+
+// The enclosing `{ ... }` of a token, or the whole file at the top level.
+function enclosingBlock(tokens, index) {
+  let depth = 0;
+  for (let cursor = index - 1; cursor >= 0; cursor -= 1) {
+    const { type, value } = tokens[cursor];
+    if (type !== "punct") continue;
+    if (value === "}") depth += 1;
+    if (value === "{" && depth-- === 0) {
+      return [cursor, matchBracket(tokens, cursor)];
+    }
+  }
+  return [-1, tokens.length];
+}
+
+// `const span = __debugLog.span(...)` as a whole statement: the declaration's
+// first token, the handle's name and the block its `end()` calls can be in.
+function spanDeclaration(tokens, call) {
+  const first = call.first - 3;
+  if (
+    first < 0 ||
+    !call.callee.endsWith(".span") ||
+    tokens[call.first - 1]?.value !== "=" ||
+    tokens[call.first - 2]?.type !== "ident" ||
+    !DECLARATION_KEYWORDS.has(tokens[first]?.value) ||
+    !isStatementStart(tokens, first)
+  ) {
+    return null;
+  }
+  const end = findStatementEnd(tokens, first);
+  if (end !== call.close && end !== call.close + 1) return null;
+  return { first, handle: tokens[call.first - 2].value, scope: enclosingBlock(tokens, first) };
+}
+
+// Widen a removal to whole lines when nothing else shares them, so deleting
+// a statement doesn't leave blank or trailing-whitespace lines behind.
+function expandToLines(source, start, end) {
+  const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+  let lineEnd = source.indexOf("\n", end);
+  if (lineEnd === -1) lineEnd = source.length;
+
+  const before = source.slice(lineStart, start);
+  const after = source.slice(end, lineEnd);
+  if (before.trim() || (after.trim() && !after.trim().startsWith("//"))) {
+    return { start, end: end + (after.length - after.trimStart().length) };
+  }
+  return { start: lineStart, end: Math.min(lineEnd + 1, source.length), wholeLines: true };
+}
+
+function isBlankLineAt(text, offset) {
+  const end = text.indexOf("\n", offset);
+  return end !== -1 && !text.slice(offset, end).trim();
+}
+
+// A line `instrument` inserted: one logger call followed by the tag.
+const TAGGED_LINE = new RegExp(`^[ \\t]*__debugLog\\(.*\\);? ${INSTRUMENT_TAG}\\r?\\n?`, "gm");
+
+function applyEdits(source, edits) {
+  const sorted = [...edits].sort((left, right) => right.start - left.start);
+  let output = source;
+  let floor = Infinity;
+  for (const edit of sorted) {
+    if (edit.end > floor) continue;
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    floor = edit.start;
+
+    // Removing a block that sat between two blank lines leaves a double
+    // blank line; collapse it. Edits run bottom-up so offsets stay valid.
+    const seam = edit.start;
+    if (
+      edit.wholeLines &&
+      (seam === 0 || isBlankLineAt(output, output.lastIndexOf("\n", seam - 2) + 1))
+    ) {
+      while (isBlankLineAt(output, seam)) {
+        output = output.slice(0, seam) + output.slice(output.indexOf("\n", seam) + 1);
+      }
+    }
+  }
+  return output;
+}
+
+function removeStatement(source, tokens, first, last) {
+  // A `;` on a later line guards the next statement against ASI
+  // (`\n;[1, 2].forEach(f)`), so only the one on the call's own line goes.
+  const semicolon = tokens[last + 1];
+  const end =
+    semicolon?.value === ";" && semicolon.line === tokens[last].line
+      ? semicolon.end
+      : tokens[last].end;
+  return { ...expandToLines(source, tokens[first].start, end), text: "" };
+}
+
+function referencedNames(tokens, first, last) {
+  const names = new Set();
+  for (let cursor = first; cursor <= last; cursor += 1) {
+    const token = tokens[cursor];
+    if (token.type === "ident" && tokens[cursor - 1]?.value !== ".") names.add(token.value);
+  }
+  return names;
+}
+
+// `{ a, b as c, type d }` or `{ a, b: c }` - the local name is the last token.
+function parseNamedList(tokens, open) {
+  const specifiers = [];
+  const close = matchBracket(tokens, open);
+  let item = open + 1;
+  while (item < close) {
+    let itemEnd = item;
+    while (itemEnd + 1 < close && tokens[itemEnd + 1].value !== ",") itemEnd += 1;
+    specifiers.push({ first: item, last: itemEnd, local: tokens[itemEnd].value, named: true });
+    item = itemEnd + 2;
+  }
+  return { close, specifiers };
+}
+
+function parseImportSpecifiers(tokens, index) {
+  const specifiers = [];
+  let cursor = index + 1;
+  if (tokens[cursor]?.value === "type" && tokens[cursor + 1]?.value !== ",") cursor += 1;
+
+  while (cursor < tokens.length && tokens[cursor].value !== "from") {
+    const token = tokens[cursor];
+    if (token.value === "{") {
+      const list = parseNamedList(tokens, cursor);
+      specifiers.push(...list.specifiers);
+      cursor = list.close + 1;
+    } else if (token.value === "*") {
+      specifiers.push({ first: cursor, last: cursor + 2, local: tokens[cursor + 2]?.value });
+      cursor += 3;
+    } else if (token.type === "ident") {
+      specifiers.push({ first: cursor, last: cursor, local: token.value });
+      cursor += 1;
+    } else {
+      cursor += 1;
+    }
+  }
+
+  return { specifiers, last: tokens[cursor + 2]?.value === ";" ? cursor + 2 : cursor + 1 };
+}
+
+function findBindings(tokens) {
+  const bindings = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (!isStatementStart(tokens, index)) continue;
+
+    if (token.value === "import" && !["(", ".", "?."].includes(tokens[index + 1]?.value)) {
+      if (tokens[index + 1]?.type === "string") continue;
+      const { specifiers, last } = parseImportSpecifiers(tokens, index);
+      bindings.push({ first: index, last, specifiers });
+      index = last;
+    } else if (token.value === "export" && tokens[index + 1]?.value === "{") {
+      const { close, specifiers } = parseNamedList(tokens, index + 1);
+      let last = tokens[close + 1]?.value === "from" ? close + 2 : close;
+      if (tokens[last + 1]?.value === ";") last += 1;
+      for (const item of specifiers) {
+        item.local = tokens[item.first].value;
+      }
+      bindings.push({ first: index, last, specifiers, exportList: true });
+      index = last;
+    } else if (DECLARATION_KEYWORDS.has(token.value) && tokens[index + 1]) {
+      const target = tokens[index + 1];
+      const close = target.value === "{" ? matchBracket(tokens, index + 1) : index + 1;
+      if (tokens[close + 1]?.value !== "=" || tokens[close + 2]?.value !== "require") continue;
+      const last = findStatementEnd(tokens, close + 2);
+      const specifiers =
+        target.value === "{"
+          ? parseNamedList(tokens, index + 1).specifiers
+          : [{ first: index + 1, last: index + 1, local: target.value }];
+      bindings.push({ first: index, last, specifiers });
+      index = last;
+    } else if (
+      (token.value === "interface" || token.value === "type") &&
+      tokens[index + 1]?.type === "ident"
+    ) {
+      const brace = tokens[index + 2]?.value === "{" ? index + 2 : -1;
+      const last = brace === -1 ? findStatementEnd(tokens, index) : matchBracket(tokens, brace);
+      bindings.push({
+        first: index,
+        last,
+        specifiers: [{ first: index + 1, last: index + 1, local: tokens[index + 1].value }],
+        declaration: true,
+      });
+      index = last;
+    }
+  }
+
+  return bindings;
+}
+
+function countReferences(tokens, name, bindings) {
+  let count = 0;
+  let bindingIndex = 0;
+  for (let cursor = 0; cursor < tokens.length; cursor += 1) {
+    while (bindings[bindingIndex] && bindings[bindingIndex].last < cursor) bindingIndex += 1;
+    const binding = bindings[bindingIndex];
+    const inBinding = binding && cursor >= binding.first && cursor <= binding.last;
+    if (inBinding && !binding.declaration) continue;
+    if (inBinding && cursor === binding.specifiers[0].first) continue;
+
+    const token = tokens[cursor];
+    if (token.type === "ident" && token.value === name && tokens[cursor - 1]?.value !== ".") {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+// Second pass: drop import/require specifiers and type declarations that only
+// the removed logger code used, plus any direct imports of the logger itself.
+function removeUnusedBindings(source, candidates) {
+  const tokens = codeTokens(source);
+  const bindings = findBindings(tokens);
+  const edits = [];
+  let removed = 0;
+
+  for (const binding of bindings) {
+    const unused = binding.specifiers.filter((item) =>
+      binding.exportList
+        ? LOGGER_NAME.test(item.local)
+        : (candidates.has(item.local) || LOGGER_NAME.test(item.local)) &&
+          countReferences(tokens, item.local, bindings) === 0,
+    );
+    if (unused.length === 0) continue;
+    removed += unused.length;
+
+    if (unused.length === binding.specifiers.length) {
+      edits.push(removeStatement(source, tokens, binding.first, binding.last));
+      continue;
+    }
+
+    const named = binding.specifiers.filter((item) => item.named);
+    const keptNamed = named.filter((item) => !unused.includes(item));
+    for (const item of unused) {
+      if (item.named && keptNamed.length === 0) continue;
+      // Take the comma after the specifier, or the one before if it's last.
+      const after = tokens[item.last + 1];
+      const start = after?.value === "," ? tokens[item.first].start : tokens[item.first - 1].start;
+      const end = after?.value === "," ? tokens[item.last + 2].start : tokens[item.last].end;
+      edits.push({ start, end, text: "" });
+    }
+    if (named.length > 0 && keptNamed.length === 0) {
+      // Only a default/namespace import remains: drop `, { ... }` as a whole.
+      const open = named[0].first - 1;
+      const close = matchBracket(tokens, open);
+      edits.push({ start: tokens[open - 1].start, end: tokens[close].end, text: "" });
+    }
+  }
+
+  return { output: applyEdits(source, edits), removed };
+}
+
+// Logger references in `tokens`, including those inside template literal
+// substitutions, which removal doesn't touch.
+function loggerReferences(tokens) {
+  return tokens.flatMap((token, index) => {
+    if (token.substitutions) return loggerReferences(token.substitutions);
+    const isReference =
+      token.type === "ident" &&
+      LOGGER_NAME.test(token.value) &&
+      tokens[index - 1]?.value !== "." &&
+      tokens[index - 1]?.value !== "?.";
+    return isReference ? [token] : [];
+  });
+}
+
+function findLeftovers(source) {
+  const lines = source.split("\n");
+  return loggerReferences(codeTokens(source)).map((token) => ({
+    line: token.line,
+    name: token.value,
+    text: lines[token.line - 1].trim(),
+  }));
+}
+
+function removeCall(source, tokens, call, edits, inline) {
+  const context = callContext(tokens, call);
+  const semicolon = tokens[call.close + 1]?.value === ";" ? tokens[call.close + 1] : null;
+  if (context === "statement") {
+    edits.push(removeStatement(source, tokens, call.first, call.close));
+  } else if (context === "body") {
+    edits.push({ start: call.start, end: semicolon?.end ?? call.end, text: ";" });
+    inline.push({ line: call.line, replacement: "empty statement" });
+  } else {
+    edits.push({ start: call.start, end: call.end, text: "undefined" });
+    inline.push({ line: call.line, replacement: "undefined" });
+  }
+}
+
+/**
+ * Remove instrumentation from a source string.
+ *
+ * Returns the new source, counts of what was removed, any calls that had to
+ * be neutralised in place rather than deleted, and logger references that
+ * are still present afterwards.
+ */
+export function removeInstrumentation(original) {
+  // Tagged lines go first and whole, so what `instrument` added comes out
+  // exactly as it went in.
+  let tagged = 0;
+  const source = original.replace(TAGGED_LINE, () => {
+    tagged += 1;
+    return "";
+  });
+  const tokens = codeTokens(source);
+  const edits = [];
+  const inline = [];
+  const candidates = new Set();
+  const covered = [];
+
+  const declarations = findLoggerDeclarations(tokens);
+  for (const declaration of declarations) {
+    edits.push(removeStatement(source, tokens, declaration.first, declaration.last));
+    covered.push([declaration.first, declaration.last]);
+    for (const name of referencedNames(tokens, declaration.first, declaration.last)) {
+      candidates.add(name);
+    }
+  }
+
+  // Wrapped functions can contain logger calls of their own, so a wrap isn't
+  // marked as covered: only the wrapper around `fn` is deleted.
+  const calls = findLoggerCalls(source, tokens).filter((call) => {
+    const inside = covered.some(([first, last]) => call.first >= first && call.close <= last);
+    if (!inside && !call.callee.endsWith(".wrap")) covered.push([call.first, call.close]);
+    return !inside;
+  });
+
+  const handles = [];
+  for (const call of calls) {
+    const declaration = spanDeclaration(tokens, call);
+    if (declaration) {
+      edits.push(removeStatement(source, tokens, declaration.first, call.close));
+      handles.push(declaration);
+      continue;
+    }
+
+    const fn = call.callee.endsWith(".wrap") ? call.args[3] : null;
+    if (fn) {
+      edits.push({ start: call.start, end: fn.start, text: "" });
+      edits.push({ start: fn.end, end: call.end, text: "" });
+      continue;
+    }
+
+    removeCall(source, tokens, call, edits, inline);
+  }
+
+  const handleNames = new Set(handles.map(({ handle }) => handle));
+  const ends = findLoggerCalls(source, tokens, (name) => handleNames.has(name)).filter(
+    (call) =>
+      call.callee === `${call.name}.end` &&
+      handles.some(
+        ({ handle, scope: [open, close] }) =>
+          handle === call.name && call.first > open && call.close < close,
+      ) &&
+      !covered.some(([first, last]) => call.first >= first && call.close <= last),
+  );
+  for (const call of ends) {
+    removeCall(source, tokens, call, edits, inline);
+  }
+
+  const withoutCalls = applyEdits(source, edits);
+  const { output, removed: imports } = removeUnusedBindings(withoutCalls, candidates);
+
+  return {
+    calls: tagged + calls.length + ends.length,
+    declarations: declarations.length,
+    imports,
+    inline,
+    leftovers: findLeftovers(output),
+    output,
+  };
+}
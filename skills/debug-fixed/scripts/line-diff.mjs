@@ -0,0 +1,125 @@
+/**
+ * Line Diff
+ *
+ * Unified diffs of a file before and after an edit, for the commands that
+ * rewrite sources and offer `--dry-run`.
+ */
+
+export const colors = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+// Myers diff over lines; returns [op, line] pairs where op is " ", "-" or "+".
+export function diffLines(before, after) {
+  const max = before.length + after.length;
+  const offset = max + 1;
+  const frontier = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let depth = 0; depth <= max; depth += 1) {
+    trace.push(frontier.slice());
+    for (let diagonal = -depth; diagonal <= depth; diagonal += 2) {
+      let x =
+        diagonal === -depth ||
+        (diagonal !== depth && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+          ? frontier[offset + diagonal + 1]
+          : frontier[offset + diagonal - 1] + 1;
+      let y = x - diagonal;
+      while (x < before.length && y < after.length && before[x] === after[y]) {
+        x += 1;
+        y += 1;
+      }
+      frontier[offset + diagonal] = x;
+      if (x >= before.length && y >= after.length) {
+        return backtrack(trace, before, after, offset, depth);
+      }
+    }
+  }
+  return [];
+}
+
+function backtrack(trace, before, after, offset, finalDepth) {
+  const ops = [];
+  let x = before.length;
+  let y = after.length;
+
+  for (let depth = finalDepth; depth > 0; depth -= 1) {
+    const frontier = trace[depth];
+    const diagonal = x - y;
+    const previousDiagonal =
+      diagonal === -depth ||
+      (diagonal !== depth && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+        ? diagonal + 1
+        : diagonal - 1;
+    const previousX = frontier[offset + previousDiagonal];
+    const previousY = previousX - previousDiagonal;
+
+    while (x > previousX && y > previousY) {
+      ops.push([" ", before[(x -= 1)]]);
+      y -= 1;
+    }
+    if (x === previousX) {
+      ops.push(["+", after[(y -= 1)]]);
+    } else {
+      ops.push(["-", before[(x -= 1)]]);
+    }
+  }
+  while (x > 0) {
+    ops.push([" ", before[(x -= 1)]]);
+  }
+
+  return ops.reverse();
+}
+
+export function formatDiff(file, before, after, context = 3) {
+  const ops = diffLines(before.split("\n"), after.split("\n"));
+  const lines = [
+    `${colors.bold}--- ${file}${colors.reset}`,
+    `${colors.bold}+++ ${file}${colors.reset}`,
+  ];
+
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index][0] === " ") {
+      index += 1;
+      continue;
+    }
+
+    let start = Math.max(0, index - context);
+    let end = index;
+    while (end < ops.length) {
+      let next = end;
+      while (next < ops.length && ops[next][0] === " ") next += 1;
+      if (next >= ops.length || next - end > context * 2) break;
+      end = next;
+      while (end < ops.length && ops[end][0] !== " ") end += 1;
+    }
+    end = Math.min(ops.length, end + context);
+
+    let oldLine = 1;
+    let newLine = 1;
+    for (const [op] of ops.slice(0, start)) {
+      if (op !== "+") oldLine += 1;
+      if (op !== "-") newLine += 1;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(([op]) => op !== "+").length;
+    const newCount = hunk.filter(([op]) => op !== "-").length;
+
+    lines.push(
+      `${colors.cyan}@@ -${oldLine},${oldCount} +${newLine},${newCount} @@${colors.reset}`,
+    );
+    for (const [op, text] of hunk) {
+      const color = op === "-" ? colors.red : op === "+" ? colors.green : "";
+      lines.push(`${color}${op}${text}${color ? colors.reset : ""}`);
+    }
+    index = end;
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Remove Debug Instrumentation
+ *
+ * Same as `debug-mode.mjs remove`; kept so existing invocations keep working.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["remove", ...process.argv.slice(2)]);
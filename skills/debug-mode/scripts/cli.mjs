@@ -0,0 +1,159 @@
+/**
+ * Debug Mode CLI
+ *
+ * Shared entry point behind `debug-mode.mjs` and the per-skill scripts. Each
+ * subcommand lives in `commands/<name>.mjs` of the skill that ships it and
+ * exports `usage` (lines shown in help), `options` (node:util parseArgs
+ * options, each with a `description`) and `run(values, positionals)`, which
+ * returns an exit code or throws an error carrying one in `exitCode`.
+ * Commands a skill doesn't ship are loaded from the sibling skill folder when
+ * the skills are installed side by side.
+ *
+ * Every command accepts `--help` and `--json`. Exit codes: 0 success, 1 the
+ * command failed, 2 invalid usage.
+ */
+
+import { existsSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const SCRIPTS_DIR = dirname(fileURLToPath(import.meta.url));
+
+export const COMMANDS = {
+  start: { skill: "debug-mode", summary: "Start the log collector in the background" },
+  stop: { skill: "debug-fixed", summary: "Stop the log collector" },
+  status: { skill: "debug-mode", summary: "Show the collector, log, run and hypothesis state" },
+  clear: { skill: "debug-mode", summary: "Empty the debug log and delete rotated segments" },
+  analyze: { skill: "debug-reproduced", summary: "Analyze collected logs by hypothesis" },
+  snapshot: { skill: "debug-reproduced", summary: "Save the log as a named baseline for fixes" },
+  tail: { skill: "debug-mode", summary: "Print log entries as they arrive" },
+  runs: { skill: "debug-mode", summary: "Start or list reproduction runs" },
+  hypotheses: { skill: "debug-mode", summary: "Register hypotheses, verdicts and evidence" },
+  scan: { skill: "debug-reproduced", summary: "List instrumentation call sites in source files" },
+  instrument: { skill: "debug-mode", summary: "Insert standard log calls into a function" },
+  remove: { skill: "debug-fixed", summary: "Remove instrumentation from source files" },
+};
+
+const GLOBAL_OPTIONS = {
+  json: { type: "boolean", description: "Print JSON instead of text" },
+  help: { type: "boolean", description: "Show this help" },
+};
+
+/** An error that makes the CLI exit with `exitCode` after printing `message`. */
+export function cliError(message, exitCode = EXIT_FAILURE) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+export function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function loadCommand(name) {
+  const { skill } = COMMANDS[name];
+  const path = [
+    join(SCRIPTS_DIR, "commands", `${name}.mjs`),
+    join(SCRIPTS_DIR, "..", "..", skill, "scripts", "commands", `${name}.mjs`),
+  ].find((candidate) => existsSync(candidate));
+  if (!path) {
+    throw cliError(`The ${name} command ships with the ${skill} skill, which isn't installed`);
+  }
+  return import(pathToFileURL(path).href);
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, option]) => {
+    const short = option.short ? `-${option.short}, ` : "";
+    const value = option.type === "string" ? ` ${option.value ?? "<value>"}` : "";
+    return [`${short}--${name}${value}`, option.description ?? ""];
+  });
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`);
+}
+
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  console.log("Usage: debug-mode <command> [options]");
+  console.log();
+  console.log("Commands:");
+  for (const [name, { summary }] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(width)}  ${summary}`);
+  }
+  console.log();
+  console.log("Options:");
+  formatOptions(GLOBAL_OPTIONS).forEach((line) => console.log(line));
+  console.log();
+  console.log('Run "debug-mode <command> --help" for command options.');
+  console.log("Exit codes: 0 success, 1 failure, 2 invalid usage.");
+}
+
+function printCommandHelp(name, command, options) {
+  command.usage.forEach((line, index) => {
+    console.log(`${index === 0 ? "Usage:" : "      "} debug-mode ${line}`);
+  });
+  console.log();
+  console.log(COMMANDS[name].summary);
+  if (command.description) {
+    console.log();
+    console.log(command.description);
+  }
+  console.log();
+  console.log("Options:");
+  formatOptions(options).forEach((line) => console.log(line));
+}
+
+async function dispatch(name, args) {
+  if (name === undefined || name === "help" || name === "--help") {
+    if (name === "help" && args[0]) {
+      return dispatch(args[0], ["--help"]);
+    }
+    printHelp();
+    return name === undefined ? EXIT_USAGE : EXIT_OK;
+  }
+  if (!Object.hasOwn(COMMANDS, name)) {
+    throw cliError(`Unknown command: ${name}`, EXIT_USAGE);
+  }
+
+  const command = await loadCommand(name);
+  const options = { ...command.options, ...GLOBAL_OPTIONS };
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options, allowPositionals: true });
+  } catch (error) {
+    throw cliError(error.message, EXIT_USAGE);
+  }
+
+  if (parsed.values.help) {
+    printCommandHelp(name, command, options);
+    return EXIT_OK;
+  }
+  return (await command.run(parsed.values, parsed.positionals)) ?? EXIT_OK;
+}
+
+/** Run a command line (`["analyze", "--json"]`) and set the process exit code. */
+export async function main(argv) {
+  const [name, ...args] = argv;
+  try {
+    process.exitCode = await dispatch(name, args);
+  } catch (error) {
+    const exitCode = error.exitCode ?? EXIT_FAILURE;
+    if (args.includes("--json")) {
+      printJson({ error: error.message, exitCode });
+    } else {
+      console.error(error.message);
+      if (exitCode === EXIT_USAGE) {
+        const help = Object.hasOwn(COMMANDS, name)
+          ? `debug-mode ${name} --help`
+          : "debug-mode --help";
+        console.error(`Run "${help}" for usage.`);
+      }
+    }
+    process.exitCode = exitCode;
+  }
+}
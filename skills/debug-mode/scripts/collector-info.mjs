@@ -0,0 +1,74 @@
+/**
+ * Collector Discovery
+ *
+ * The collector falls back to a free port when DEBUG_PORT is taken, so once it
+ * is listening it records where it ended up in .debug/collector.json:
+ *
+ *   { "host", "port", "url", "pid", "startedAt", "projectPath" }
+ *
+ * The scripts find the collector through that file and only fall back to
+ * DEBUG_PORT (default 7777) when it is missing or its process is gone.
+ */
+
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from "node:fs";
+
+export const HOST = "127.0.0.1";
+
+export function requestedPort() {
+  return parseInt(process.env.DEBUG_PORT || "7777", 10);
+}
+
+export function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function readCollectorInfo(file) {
+  if (!existsSync(file)) {
+    return null;
+  }
+  try {
+    const info = JSON.parse(readFileSync(file, "utf8"));
+    return Number.isInteger(info.pid) && Number.isInteger(info.port) ? info : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeCollectorInfo(file, { port, pid }) {
+  const info = {
+    host: HOST,
+    port,
+    url: `http://${HOST}:${port}`,
+    pid,
+    startedAt: Date.now(),
+    projectPath: process.cwd(),
+  };
+  writeFileSync(file, JSON.stringify(info, null, 2) + "\n");
+  return info;
+}
+
+/** Delete the file if it still describes the collector with this PID. */
+export function removeCollectorInfo(file, pid) {
+  try {
+    if (readCollectorInfo(file)?.pid === pid) {
+      unlinkSync(file);
+    }
+  } catch {
+    // Ignore cleanup errors.
+  }
+}
+
+/** The recorded collector, or null if there is none or its process is gone. */
+export function runningCollector(file) {
+  const info = readCollectorInfo(file);
+  return info && isProcessRunning(info.pid) ? info : null;
+}
+
+export function collectorUrl(file) {
+  return runningCollector(file)?.url ?? `http://${HOST}:${requestedPort()}`;
+}
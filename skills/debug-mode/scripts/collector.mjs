@@ -6,14 +6,74 @@
  * HTTP server that collects debug log entries and writes them to .debug/debug.log
  */
 
+import { randomBytes, timingSafeEqual } from "node:crypto";
 import { createServer } from "node:http";
-import { appendFileSync, existsSync, mkdirSync, unlinkSync, writeFileSync } from "node:fs";
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  statSync,
+  unlinkSync,
+  writeFileSync,
+} from "node:fs";
 import { join } from "node:path";
+import { HOST, removeCollectorInfo, requestedPort, writeCollectorInfo } from "./collector-info.mjs";
+import { matchesFilter, parseFilter } from "./entry-filter.mjs";
+import {
+  RESERVED_HYPOTHESES,
+  addHypothesis,
+  findHypothesis,
+  loadHypotheses,
+  saveHypotheses,
+  updateHypothesis,
+  validateHypothesis,
+  validateUpdate,
+} from "./hypothesis-store.mjs";
+import { readLogEntries, rotateLog } from "./log-files.mjs";
+import { loadRedactionRules, redactEntry } from "./redact.mjs";
+import { loadRuns, resolveRun, saveRuns, startRun } from "./run-store.mjs";
 
-const PORT = parseInt(process.env.DEBUG_PORT || "7777", 10);
+// Preferred port; if it is taken the collector listens on a free one instead.
+const PORT = requestedPort();
 const DEBUG_DIR = join(process.cwd(), ".debug");
 const LOG_FILE = join(DEBUG_DIR, "debug.log");
 const PID_FILE = join(DEBUG_DIR, "collector.pid");
+const INFO_FILE = join(DEBUG_DIR, "collector.json");
+const TOKEN_FILE = join(DEBUG_DIR, "token");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const HYPOTHESES_FILE = join(DEBUG_DIR, "hypotheses.json");
+// What to do with entries whose hypothesisId isn't registered: allow, warn or reject.
+// Only applies once at least one hypothesis has been registered.
+const UNREGISTERED_POLICY = process.env.DEBUG_UNREGISTERED_HYPOTHESES || "warn";
+// Browser origins allowed to call the collector. `*` matches any port
+// (`http://localhost:*`); a lone `*` allows every origin. Requests without an
+// Origin header (curl, server-side loggers) are always allowed, and so is the
+// collector's own origin (added once it is listening).
+const ALLOWED_ORIGINS = (
+  process.env.DEBUG_ALLOWED_ORIGINS || "http://localhost:*,http://127.0.0.1:*"
+)
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+const REDACTION_RULES = loadRedactionRules(process.env);
+const REQUIRE_TOKEN = !["0", "false", "off"].includes(process.env.DEBUG_REQUIRE_TOKEN);
+const DASHBOARD = readFileSync(new URL("./dashboard.html", import.meta.url), "utf8");
+// Limits guard against runaway instrumentation (e.g. a log call in an infinite
+// loop). Sizes are in bytes; 0 disables the log size and rate limits.
+const MAX_BODY_BYTES = envInt("DEBUG_MAX_BODY_BYTES", 1024 * 1024);
+const MAX_ENTRY_BYTES = envInt("DEBUG_MAX_ENTRY_BYTES", 64 * 1024);
+const MAX_LOG_BYTES = envInt("DEBUG_MAX_LOG_BYTES", 10 * 1024 * 1024);
+const MAX_LOG_SEGMENTS = envInt("DEBUG_MAX_LOG_SEGMENTS", 5);
+const MAX_ENTRIES_PER_SECOND = envInt("DEBUG_MAX_ENTRIES_PER_SECOND", 1000);
+const RATE_LIMIT_ERROR = `Rate limit exceeded (${MAX_ENTRIES_PER_SECOND} entries/s)`;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name] ?? "", 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
 
 if (!existsSync(DEBUG_DIR)) {
   mkdirSync(DEBUG_DIR, { recursive: true });
@@ -21,27 +81,133 @@ if (!existsSync(DEBUG_DIR)) {
 
 writeFileSync(PID_FILE, process.pid.toString());
 
+// A fresh token every time the collector starts; loggers copy it from here.
+const TOKEN = randomBytes(16).toString("hex");
+writeFileSync(TOKEN_FILE, TOKEN + "\n", { mode: 0o600 });
+
+const runs = loadRuns(RUNS_FILE);
+const hypotheses = loadHypotheses(HYPOTHESES_FILE);
+const subscribers = new Set();
+const rate = { window: 0, accepted: 0, dropped: 0 };
+let receivedSeq = 0;
+
 const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, X-Debug-Token",
 };
 
-function parseBody(req) {
+function isAllowedOrigin(origin) {
+  return ALLOWED_ORIGINS.some((allowed) => {
+    if (allowed === "*" || allowed === origin) {
+      return true;
+    }
+    const prefix = allowed.slice(0, -1);
+    return (
+      allowed.endsWith(":*") &&
+      origin.startsWith(prefix) &&
+      /^\d+$/.test(origin.slice(prefix.length))
+    );
+  });
+}
+
+// Sets CORS headers for an allowed origin. Returns false for browser requests
+// from any other origin, which are refused outright rather than just hidden
+// from the page, so they can't write entries either.
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    return false;
+  }
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    res.setHeader(name, value);
+  }
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  return true;
+}
+
+// The token may come as a header or, for navigator.sendBeacon (which can't
+// set headers), as a `token` query parameter.
+function hasValidToken(req, url) {
+  if (!REQUIRE_TOKEN) {
+    return true;
+  }
+  const token = Buffer.from(req.headers["x-debug-token"] || url.searchParams.get("token") || "");
+  const expected = Buffer.from(TOKEN);
+  return token.length === expected.length && timingSafeEqual(token, expected);
+}
+
+function bodyTooLarge() {
+  const error = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+  error.statusCode = 413;
+  return error;
+}
+
+// Stops buffering once the body passes MAX_BODY_BYTES; the rest is drained
+// and discarded so the 413 response can still be delivered.
+function readBody(req) {
   return new Promise((resolve, reject) => {
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+      req.resume();
+      reject(bodyTooLarge());
+      return;
+    }
+
     let body = "";
+    let size = 0;
     req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        body = "";
+        reject(bodyTooLarge());
+        return;
+      }
       body += chunk;
     });
-    req.on("end", () => {
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function parseBody(req) {
+  const body = await readBody(req);
+  try {
+    return body ? JSON.parse(body) : null;
+  } catch {
+    throw new Error("Invalid JSON");
+  }
+}
+
+// Batch bodies are either a JSON array or NDJSON (one entry per line). NDJSON
+// lines are parsed independently so one bad line doesn't sink the whole batch.
+async function parseBatchBody(req) {
+  const body = (await readBody(req)).trim();
+  if (!body) {
+    throw new Error("Empty batch");
+  }
+
+  if (body.startsWith("[")) {
+    let entries;
+    try {
+      entries = JSON.parse(body);
+    } catch {
+      throw new Error("Invalid JSON");
+    }
+    return entries.map((entry) => ({ entry }));
+  }
+
+  return body
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
       try {
-        resolve(body ? JSON.parse(body) : null);
+        return { entry: JSON.parse(line) };
       } catch {
-        reject(new Error("Invalid JSON"));
+        return { error: "Invalid JSON" };
       }
     });
-    req.on("error", reject);
-  });
 }
 
 function validateEntry(entry) {
@@ -60,55 +226,219 @@ function validateEntry(entry) {
   return null;
 }
 
+function checkRegistered(entry) {
+  if (UNREGISTERED_POLICY === "allow" || hypotheses.hypotheses.length === 0) {
+    return null;
+  }
+  if (
+    RESERVED_HYPOTHESES.includes(entry.hypothesisId) ||
+    findHypothesis(hypotheses, entry.hypothesisId)
+  ) {
+    return null;
+  }
+  return `Hypothesis ${entry.hypothesisId} is not registered`;
+}
+
+// Fixed one-second window shared by /ingest and /ingest/batch.
+function takeRateSlot() {
+  if (!MAX_ENTRIES_PER_SECOND) {
+    return true;
+  }
+  const window = Math.floor(Date.now() / 1000);
+  if (window !== rate.window) {
+    if (rate.dropped > 0) {
+      console.error(`Warning: dropped ${rate.dropped} entries over the rate limit`);
+    }
+    Object.assign(rate, { window, accepted: 0, dropped: 0 });
+  }
+  if (rate.accepted >= MAX_ENTRIES_PER_SECOND) {
+    rate.dropped += 1;
+    return false;
+  }
+  rate.accepted += 1;
+  return true;
+}
+
+function truncateBytes(text, maxBytes) {
+  const buffer = Buffer.from(text);
+  if (buffer.length <= maxBytes) {
+    return text;
+  }
+  // Drop a multi-byte character cut in half at the boundary.
+  return buffer
+    .subarray(0, Math.max(0, maxBytes))
+    .toString("utf8")
+    .replace(/\uFFFD$/, "");
+}
+
+// Oversized entries keep their metadata; `data` is replaced by a marker with a
+// JSON preview, and the message is cut if that still isn't enough.
+function limitEntrySize(entry) {
+  let line = JSON.stringify(entry);
+  if (!MAX_ENTRY_BYTES || Buffer.byteLength(line) <= MAX_ENTRY_BYTES) {
+    return entry;
+  }
+
+  if (entry.data !== undefined) {
+    const data = typeof entry.data === "string" ? entry.data : JSON.stringify(entry.data);
+    const dataBytes = Buffer.byteLength(data);
+    entry.data = { __truncated: true, originalBytes: dataBytes, preview: "" };
+    const room = MAX_ENTRY_BYTES - Buffer.byteLength(JSON.stringify(entry));
+    // Leave headroom for the escaping JSON.stringify adds to the preview.
+    entry.data.preview = truncateBytes(data, Math.floor(room / 2));
+    line = JSON.stringify(entry);
+  }
+
+  if (Buffer.byteLength(line) > MAX_ENTRY_BYTES) {
+    const room = MAX_ENTRY_BYTES - (Buffer.byteLength(line) - Buffer.byteLength(entry.message));
+    entry.message = `${truncateBytes(entry.message, Math.floor(room / 2) - 16)} [truncated]`;
+  }
+  return entry;
+}
+
+function rotateIfNeeded(bytes) {
+  if (!MAX_LOG_BYTES || !existsSync(LOG_FILE)) {
+    return;
+  }
+  const size = statSync(LOG_FILE).size;
+  if (size > 0 && size + bytes > MAX_LOG_BYTES) {
+    rotateLog(LOG_FILE, MAX_LOG_SEGMENTS);
+  }
+}
+
 function writeLogEntry(entry) {
+  // Arrival order independent of client clocks, for the analyzer's ordering checks.
+  entry.receivedAt = Date.now();
+  entry.receivedSeq = ++receivedSeq;
   if (!entry.timestamp) {
-    entry.timestamp = Date.now();
+    entry.timestamp = entry.receivedAt;
   }
-  appendFileSync(LOG_FILE, JSON.stringify(entry) + "\n");
+  if (!entry.runId && runs.current) {
+    entry.runId = runs.current;
+  }
+  // Redact before truncating so a truncated preview can't leak a secret.
+  const redacted = redactEntry(entry, REDACTION_RULES);
+  if (redacted.length > 0) {
+    entry.redacted = redacted;
+  }
+  const line = JSON.stringify(limitEntrySize(entry)) + "\n";
+  rotateIfNeeded(Buffer.byteLength(line));
+  appendFileSync(LOG_FILE, line);
+  publishEntry(entry);
 }
 
-function sendJson(res, statusCode, data) {
-  res.writeHead(statusCode, {
-    "Content-Type": "application/json",
-    ...corsHeaders,
+function publishEntry(entry) {
+  for (const subscriber of subscribers) {
+    if (matchesFilter(entry, subscriber.filter)) {
+      subscriber.res.write(`data: ${JSON.stringify(entry)}\n\n`);
+    }
+  }
+}
+
+// Like parseFilter, but `run` may also name runs; unknown refs match nothing.
+function parseQueryFilter(params) {
+  const filter = parseFilter(params);
+  if (filter.run) {
+    filter.run = filter.run.map((ref) => resolveRun(runs, ref)?.id ?? ref);
+  }
+  return filter;
+}
+
+function parsePage(params) {
+  const offset = Number(params.get("offset") ?? 0);
+  const limit = Number(params.get("limit") ?? DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const order = params.get("order") ?? "asc";
+  if (order !== "asc" && order !== "desc") {
+    throw new Error("order must be asc or desc");
+  }
+  return { offset, limit, order };
+}
+
+function queryLogs(filter) {
+  return readLogEntries(LOG_FILE).filter((entry) => matchesFilter(entry, filter));
+}
+
+function openStream(req, res, filter) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  const subscriber = { filter, res };
+  subscribers.add(subscriber);
+
+  // Comment lines keep proxies and idle timeouts from closing the stream.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
   });
+}
+
+const ALLOWED_METHODS = {
+  "/": "GET",
+  "/health": "GET",
+  "/hypotheses": "GET, POST",
+  "/ingest": "POST",
+  "/ingest/batch": "POST",
+  "/logs": "GET",
+  "/runs": "GET, POST",
+  "/stream": "GET",
+};
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  );
+}
+
+// The dashboard is static apart from these values; everything else it loads
+// from /logs, /stream, /runs and /hypotheses.
+function renderDashboard() {
+  const values = { PID: process.pid, LOG_FILE, CURRENT_RUN: runs.current ?? "none" };
+  return DASHBOARD.replace(/\{\{(\w+)\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
   res.end(JSON.stringify(data));
 }
 
 async function handleRequest(req, res) {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const url = new URL(req.url, `http://${HOST}`);
   const path = url.pathname;
 
+  if (!applyCors(req, res)) {
+    sendJson(res, 403, { status: "error", error: `Origin ${req.headers.origin} is not allowed` });
+    return;
+  }
+
   if (req.method === "OPTIONS") {
-    res.writeHead(204, corsHeaders);
+    res.writeHead(204);
     res.end();
     return;
   }
 
-  if (req.method === "GET" && path === "/") {
-    res.writeHead(200, {
-      "Content-Type": "text/html",
-      ...corsHeaders,
+  if (req.method === "POST" && path.startsWith("/ingest") && !hasValidToken(req, url)) {
+    sendJson(res, 401, {
+      status: "error",
+      error: "Missing or invalid token (see .debug/token)",
     });
-    res.end(
-      `
-<!DOCTYPE html>
-<html>
-<head><title>Debug Collector</title></head>
-<body>
-  <h1>Debug Log Collector</h1>
-  <p>Status: <strong style="color: green">Running</strong></p>
-  <p>PID: ${process.pid}</p>
-  <p>Log file: ${LOG_FILE}</p>
-  <h2>Endpoints</h2>
-  <ul>
-    <li><code>POST /ingest</code> - Submit log entries</li>
-    <li><code>GET /health</code> - Health check</li>
-  </ul>
-</body>
-</html>
-    `.trim(),
-    );
+    return;
+  }
+
+  if (req.method === "GET" && path === "/") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(renderDashboard());
     return;
   }
 
@@ -125,24 +455,189 @@ async function handleRequest(req, res) {
         sendJson(res, 400, { status: "error", error });
         return;
       }
+      const unregistered = checkRegistered(entry);
+      if (unregistered && UNREGISTERED_POLICY === "reject") {
+        sendJson(res, 400, { status: "error", error: unregistered });
+        return;
+      }
+      if (!takeRateSlot()) {
+        sendJson(res, 429, { status: "error", error: RATE_LIMIT_ERROR });
+        return;
+      }
+      if (unregistered) {
+        console.error(`Warning: ${unregistered}`);
+      }
       writeLogEntry(entry);
-      sendJson(res, 200, { status: "ok" });
+      sendJson(res, 200, unregistered ? { status: "ok", warning: unregistered } : { status: "ok" });
     } catch (error) {
-      sendJson(res, 400, { status: "error", error: error.message });
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+    }
+    return;
+  }
+
+  if (req.method === "POST" && path === "/ingest/batch") {
+    let items;
+    try {
+      items = await parseBatchBody(req);
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+      return;
+    }
+
+    const errors = [];
+    const warnings = [];
+    let accepted = 0;
+    items.forEach((item, index) => {
+      const error = item.error || validateEntry(item.entry);
+      if (error) {
+        errors.push({ index, error });
+        return;
+      }
+      const unregistered = checkRegistered(item.entry);
+      if (unregistered && UNREGISTERED_POLICY === "reject") {
+        errors.push({ index, error: unregistered });
+        return;
+      }
+      if (!takeRateSlot()) {
+        errors.push({ index, error: RATE_LIMIT_ERROR });
+        return;
+      }
+      if (unregistered) {
+        warnings.push({ index, warning: unregistered });
+      }
+      writeLogEntry(item.entry);
+      accepted += 1;
+    });
+
+    if (warnings.length > 0) {
+      console.error(`Warning: ${warnings.length} entries with unregistered hypotheses`);
     }
+    const limited = errors.some((item) => item.error === RATE_LIMIT_ERROR);
+    sendJson(res, accepted > 0 || items.length === 0 ? 200 : limited ? 429 : 400, {
+      status: errors.length === 0 ? "ok" : accepted > 0 ? "partial" : "error",
+      accepted,
+      rejected: errors.length,
+      errors,
+      ...(warnings.length > 0 && { warnings }),
+    });
     return;
   }
 
-  if (path === "/ingest" || path === "/health") {
-    res.writeHead(405, {
-      Allow: path === "/ingest" ? "POST, OPTIONS" : "GET, OPTIONS",
-      ...corsHeaders,
+  if (req.method === "GET" && path === "/logs") {
+    let filter;
+    let page;
+    try {
+      filter = parseQueryFilter(url.searchParams);
+      page = parsePage(url.searchParams);
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+      return;
+    }
+
+    const entries = queryLogs(filter);
+    if (["1", "true"].includes(url.searchParams.get("count"))) {
+      sendJson(res, 200, { status: "ok", count: entries.length });
+      return;
+    }
+    if (page.order === "desc") {
+      entries.reverse();
+    }
+    sendJson(res, 200, {
+      status: "ok",
+      total: entries.length,
+      offset: page.offset,
+      limit: page.limit,
+      entries: entries.slice(page.offset, page.offset + page.limit),
     });
+    return;
+  }
+
+  if (req.method === "GET" && path === "/stream") {
+    let filter;
+    try {
+      filter = parseQueryFilter(url.searchParams);
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+      return;
+    }
+    openStream(req, res, filter);
+    return;
+  }
+
+  if (req.method === "GET" && path === "/runs") {
+    sendJson(res, 200, runs);
+    return;
+  }
+
+  if (req.method === "POST" && path === "/runs") {
+    try {
+      const body = await parseBody(req);
+      if (body?.name !== undefined && body.name !== null && typeof body.name !== "string") {
+        sendJson(res, 400, { status: "error", error: "Run name must be a string" });
+        return;
+      }
+      const run = startRun(runs, body?.name);
+      saveRuns(RUNS_FILE, runs);
+      sendJson(res, 201, { status: "ok", run });
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && path === "/hypotheses") {
+    sendJson(res, 200, hypotheses);
+    return;
+  }
+
+  if (req.method === "POST" && path === "/hypotheses") {
+    try {
+      const body = await parseBody(req);
+      const error = validateHypothesis(body);
+      if (error) {
+        sendJson(res, 400, { status: "error", error });
+        return;
+      }
+      const hypothesis = addHypothesis(hypotheses, body, runs.current);
+      saveHypotheses(HYPOTHESES_FILE, hypotheses);
+      sendJson(res, 201, { status: "ok", hypothesis });
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+    }
+    return;
+  }
+
+  const hypothesisMatch = path.match(/^\/hypotheses\/([^/]+)$/);
+  if (req.method === "PATCH" && hypothesisMatch) {
+    const id = decodeURIComponent(hypothesisMatch[1]);
+    if (!findHypothesis(hypotheses, id)) {
+      sendJson(res, 404, { status: "error", error: `Unknown hypothesis: ${id}` });
+      return;
+    }
+    try {
+      const body = await parseBody(req);
+      const error = validateUpdate(body);
+      if (error) {
+        sendJson(res, 400, { status: "error", error });
+        return;
+      }
+      const hypothesis = updateHypothesis(hypotheses, id, body, runs.current);
+      saveHypotheses(HYPOTHESES_FILE, hypotheses);
+      sendJson(res, 200, { status: "ok", hypothesis });
+    } catch (error) {
+      sendJson(res, error.statusCode ?? 400, { status: "error", error: error.message });
+    }
+    return;
+  }
+
+  const allowed = hypothesisMatch ? "PATCH" : ALLOWED_METHODS[path];
+  if (allowed) {
+    res.writeHead(405, { Allow: `${allowed}, OPTIONS` });
     res.end("Method Not Allowed");
     return;
   }
 
-  res.writeHead(404, corsHeaders);
+  res.writeHead(404);
   res.end("Not Found");
 }
 
@@ -153,14 +648,32 @@ const server = createServer((req, res) => {
   });
 });
 
-server.listen(PORT, "127.0.0.1", () => {
-  console.error(`Debug collector listening on http://127.0.0.1:${PORT}`);
+server.on("listening", () => {
+  const { port } = server.address();
+  ALLOWED_ORIGINS.push(`http://127.0.0.1:${port}`, `http://localhost:${port}`);
+  const info = writeCollectorInfo(INFO_FILE, { port, pid: process.pid });
+  console.error(`Debug collector listening on ${info.url}`);
   console.error(`Log file: ${LOG_FILE}`);
   console.error(`PID: ${process.pid}`);
 });
 
+server.on("error", (error) => {
+  if (error.code === "EADDRINUSE") {
+    console.error(`Port ${PORT} is in use, listening on a free port instead`);
+    server.listen(0, HOST);
+    return;
+  }
+  console.error("Collector failed:", error.message);
+  process.exit(1);
+});
+
+server.listen(PORT, HOST);
+
 function shutdown(signal) {
   console.error(`\nReceived ${signal}, shutting down...`);
+  for (const subscriber of subscribers) {
+    subscriber.res.end();
+  }
   server.close(() => {
     try {
       if (existsSync(PID_FILE)) {
@@ -169,6 +682,7 @@ function shutdown(signal) {
     } catch {
       // Ignore cleanup errors.
     }
+    removeCollectorInfo(INFO_FILE, process.pid);
     process.exit(0);
   });
   setTimeout(() => process.exit(1), 5000);
@@ -0,0 +1,115 @@
+/**
+ * instrument - insert the standard entry, branch, await, catch and exit
+ * `__debugLog` calls into one function, tagged so `remove` takes exactly
+ * those lines out again.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { relative, resolve } from "node:path";
+import { EXIT_USAGE, cliError, printJson } from "../cli.mjs";
+import { RESERVED_HYPOTHESES } from "../hypothesis-store.mjs";
+import { KINDS, instrumentFunction } from "../instrumenter.mjs";
+import { colors, formatDiff } from "../line-diff.mjs";
+
+export const usage = [
+  "instrument <file>:<function> <hypothesis> [--only <kinds>] [--line <n>] [--dry-run]",
+];
+export const description =
+  "Use Class.method for methods. The location of every call is <file>:<function>.\nRun `remove` to take the calls out again.";
+export const options = {
+  only: {
+    type: "string",
+    value: "<kinds>",
+    description: `Comma-separated subset of ${KINDS.join(",")}`,
+  },
+  line: {
+    type: "string",
+    value: "<n>",
+    description: "Pick the function declared on this line when the name matches several",
+  },
+  "dry-run": {
+    type: "boolean",
+    description: "Print a diff of the changes without writing the file",
+  },
+};
+
+function parseTarget(target) {
+  const separator = target?.lastIndexOf(":") ?? -1;
+  if (separator <= 0 || separator === target.length - 1) {
+    throw cliError("Target must look like <file>:<function>", EXIT_USAGE);
+  }
+  return { file: target.slice(0, separator), name: target.slice(separator + 1) };
+}
+
+function parseKinds(only) {
+  if (only === undefined) return KINDS;
+  const kinds = only.split(",").map((kind) => kind.trim());
+  const unknown = kinds.filter((kind) => !KINDS.includes(kind));
+  if (unknown.length > 0) {
+    throw cliError(`Unknown kind(s) ${unknown.join(", ")}; use ${KINDS.join(", ")}`, EXIT_USAGE);
+  }
+  return kinds;
+}
+
+export async function run({ json, only, line, "dry-run": dryRun = false }, [target, hypothesisId]) {
+  const { file, name } = parseTarget(target);
+  if (!hypothesisId) throw cliError("Missing hypothesis ID", EXIT_USAGE);
+  if (RESERVED_HYPOTHESES.includes(hypothesisId)) {
+    throw cliError(`Hypothesis ID ${hypothesisId} is reserved`, EXIT_USAGE);
+  }
+  if (line !== undefined && !/^\d+$/.test(line)) {
+    throw cliError("--line must be a line number", EXIT_USAGE);
+  }
+  const kinds = parseKinds(only);
+
+  const path = resolve(file);
+  if (!existsSync(path)) throw cliError(`${file} not found`);
+  const source = readFileSync(path, "utf8");
+  const location = `${relative(process.cwd(), path).split("\\").join("/")}:${name}`;
+
+  let result;
+  try {
+    result = instrumentFunction(source, {
+      name,
+      location,
+      hypothesisId,
+      kinds,
+      line: line === undefined ? null : Number(line),
+    });
+  } catch (error) {
+    throw cliError(error.message);
+  }
+  const hasLogger = /\b__debugLog\b/.test(source);
+
+  if (!dryRun) writeFileSync(path, result.output);
+
+  if (json) {
+    printJson({
+      dryRun,
+      file: location.slice(0, -name.length - 1),
+      function: name,
+      line: result.line,
+      location,
+      hypothesisId,
+      inserted: result.inserted,
+      skipped: result.skipped,
+      loggerMissing: !hasLogger,
+    });
+    return;
+  }
+
+  if (dryRun) {
+    console.log(formatDiff(location.slice(0, -name.length - 1), source, result.output));
+    console.log();
+  }
+  const verb = dryRun ? "Would insert" : "Inserted";
+  console.log(`${verb} ${result.inserted.length} call(s) into ${location} (line ${result.line})`);
+  for (const item of result.skipped) {
+    console.error(`${colors.yellow}line ${item.line}${colors.reset} skipped: ${item.reason}`);
+  }
+  if (!hasLogger) {
+    console.error(
+      `${colors.yellow}No __debugLog in ${file} yet${colors.reset} - add a logger snippet or import before running it`,
+    );
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * runs - start or list reproduction runs.
+ *
+ * Each reproduction attempt is a run. The collector stamps incoming entries
+ * with the current run so analyze can compare iterations. Talks to the
+ * running collector, or edits .debug/runs.json directly when the collector is
+ * stopped (it picks the file up on its next start). Errors from a running
+ * collector are reported, never worked around through the file.
+ */
+
+import { join } from "node:path";
+import { EXIT_USAGE, cliError, printJson } from "../cli.mjs";
+import { collectorUrl } from "../collector-info.mjs";
+import { loadRuns, saveRuns, startRun } from "../run-store.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const COLLECTOR_URL = collectorUrl(join(DEBUG_DIR, "collector.json"));
+
+export const usage = ["runs start [name]", "runs list"];
+export const options = {};
+
+// Null only when the collector can't be reached. Once it answers, its runs
+// are the ones entries get stamped with, so any error is reported rather
+// than falling back to the file.
+async function requestCollector(method, body) {
+  let response;
+  try {
+    response = await fetch(`${COLLECTOR_URL}/runs`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    return null;
+  }
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    throw cliError(
+      `Collector returned ${response.status} ${response.statusText} without a JSON body`,
+    );
+  }
+  if (!response.ok) {
+    throw cliError(result?.error ?? `Collector returned ${response.status}`);
+  }
+  return result;
+}
+
+function formatRun(run, current) {
+  const marker = run.id === current ? "*" : " ";
+  const name = run.name ? ` ${run.name}` : "";
+  return `${marker} ${run.id}${name} (started ${new Date(run.startedAt).toLocaleTimeString()})`;
+}
+
+export async function run({ json }, [command = "list", name = null]) {
+  if (command === "start") {
+    const result = await requestCollector("POST", { name });
+    let run = result?.run;
+    if (!result) {
+      const state = loadRuns(RUNS_FILE);
+      run = startRun(state, name);
+      saveRuns(RUNS_FILE, state);
+    } else if (!run) {
+      throw cliError("Collector did not return the started run");
+    }
+    if (json) {
+      printJson(run);
+    } else {
+      console.log(`Started ${run.id}${run.name ? ` (${run.name})` : ""}`);
+    }
+  } else if (command === "list") {
+    const state = (await requestCollector("GET")) ?? loadRuns(RUNS_FILE);
+    if (json) {
+      printJson(state);
+    } else if (state.runs.length === 0) {
+      console.log("No runs recorded");
+    } else {
+      for (const run of state.runs) {
+        console.log(formatRun(run, state.current));
+      }
+    }
+  } else {
+    throw cliError(`Unknown runs command: ${command}`, EXIT_USAGE);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * start - spawn the collector as a detached background process.
+ *
+ * The collector picks a free port if DEBUG_PORT is taken; the port it ends up
+ * on is read back from .debug/collector.json.
+ */
+
+import { spawn } from "node:child_process";
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { cliError, printJson } from "../cli.mjs";
+import { isProcessRunning, runningCollector } from "../collector-info.mjs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const PID_FILE = join(DEBUG_DIR, "collector.pid");
+const INFO_FILE = join(DEBUG_DIR, "collector.json");
+const TOKEN_FILE = join(DEBUG_DIR, "token");
+const COLLECTOR_SCRIPT = join(__dirname, "..", "collector.mjs");
+
+export const usage = ["start"];
+export const description =
+  "Prints the PID, log file, dashboard URL and the ingest token instrumented code must send.";
+export const options = {};
+
+// Collectors from before collector.json existed only left a PID file.
+function getRunningPid() {
+  const info = runningCollector(INFO_FILE);
+  if (info) {
+    return info.pid;
+  }
+  if (!existsSync(PID_FILE)) {
+    return null;
+  }
+  try {
+    const pid = parseInt(readFileSync(PID_FILE, "utf8").trim(), 10);
+    if (isProcessRunning(pid)) {
+      return pid;
+    }
+  } catch {
+    // Ignore read errors.
+  }
+  return null;
+}
+
+// Resolves with the collector's info once it answers on the port it recorded.
+async function waitForStart(pid, timeoutMs = 3000) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < timeoutMs && isProcessRunning(pid)) {
+    const info = runningCollector(INFO_FILE);
+    if (info?.pid === pid) {
+      try {
+        const response = await fetch(`${info.url}/health`);
+        if (response.ok) {
+          return info;
+        }
+      } catch {
+        // Server not ready yet.
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+function readToken() {
+  return existsSync(TOKEN_FILE) ? readFileSync(TOKEN_FILE, "utf8").trim() : null;
+}
+
+export async function run({ json }) {
+  const existingPid = getRunningPid();
+  if (existingPid) {
+    const token = readToken();
+    const url = runningCollector(INFO_FILE)?.url ?? null;
+    if (json) {
+      printJson({ status: "already-running", pid: existingPid, url, token });
+    } else {
+      console.log(`Debug collector already running (PID: ${existingPid})`);
+      if (url) {
+        console.log(`Collector URL: ${url}`);
+      }
+      if (token) {
+        console.log(`Ingest token: ${token}`);
+      }
+    }
+    return;
+  }
+
+  const child = spawn(process.execPath, [COLLECTOR_SCRIPT], {
+    detached: true,
+    env: { ...process.env },
+    stdio: "ignore",
+  });
+  child.unref();
+
+  const info = await waitForStart(child.pid);
+  if (!info) {
+    throw cliError("Failed to start debug collector");
+  }
+
+  const { pid, port, url } = info;
+  const dashboard = `${url}/`;
+  const token = readToken();
+  if (json) {
+    printJson({ status: "started", pid, port, url, logFile: LOG_FILE, dashboard, token });
+  } else {
+    console.log(`Debug collector started (PID: ${pid})`);
+    console.log(`Collector URL: ${url}`);
+    console.log(`Log file: ${LOG_FILE}`);
+    console.log(`Dashboard: ${dashboard}`);
+    console.log(`Ingest token: ${token}`);
+  }
+}
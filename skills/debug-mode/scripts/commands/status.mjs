@@ -0,0 +1,99 @@
+/**
+ * status - report whether the collector is running, how much has been logged,
+ * the current run and the registered hypotheses.
+ */
+
+import { existsSync, readFileSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { EXIT_FAILURE, printJson } from "../cli.mjs";
+import { collectorUrl, readCollectorInfo } from "../collector-info.mjs";
+import { loadHypotheses } from "../hypothesis-store.mjs";
+import { logSegments } from "../log-files.mjs";
+import { loadRuns, resolveRun } from "../run-store.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const PID_FILE = join(DEBUG_DIR, "collector.pid");
+const INFO_FILE = join(DEBUG_DIR, "collector.json");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const HYPOTHESES_FILE = join(DEBUG_DIR, "hypotheses.json");
+const COLLECTOR_URL = collectorUrl(INFO_FILE);
+
+export const usage = ["status"];
+export const description = "Exits with 1 when the collector isn't running.";
+export const options = {};
+
+function readPid() {
+  const info = readCollectorInfo(INFO_FILE);
+  if (info) {
+    return info.pid;
+  }
+  if (!existsSync(PID_FILE)) {
+    return null;
+  }
+  const pid = parseInt(readFileSync(PID_FILE, "utf8").trim(), 10);
+  return Number.isNaN(pid) ? null : pid;
+}
+
+async function isHealthy() {
+  try {
+    const response = await fetch(`${COLLECTOR_URL}/health`, { signal: AbortSignal.timeout(1000) });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export async function run({ json }) {
+  const pid = readPid();
+  const running = await isHealthy();
+  const segments = logSegments(LOG_FILE);
+  const runs = loadRuns(RUNS_FILE);
+  const currentRun = runs.current ? resolveRun(runs, runs.current) : null;
+  const { hypotheses } = loadHypotheses(HYPOTHESES_FILE);
+  const statuses = {};
+  for (const hypothesis of hypotheses) {
+    statuses[hypothesis.status] = (statuses[hypothesis.status] || 0) + 1;
+  }
+
+  const status = {
+    collector: { running, pid: running ? pid : null, url: COLLECTOR_URL },
+    log: {
+      file: LOG_FILE,
+      segments: segments.length,
+      bytes: segments.reduce((total, segment) => total + statSync(segment).size, 0),
+    },
+    currentRun,
+    hypotheses: { total: hypotheses.length, statuses },
+  };
+
+  if (json) {
+    printJson(status);
+  } else {
+    console.log(
+      running
+        ? `Collector: running (PID: ${pid ?? "unknown"}) at ${COLLECTOR_URL}/`
+        : `Collector: not running${pid ? " (stale PID file)" : ""}`,
+    );
+    console.log(
+      segments.length > 0
+        ? `Log: ${LOG_FILE} (${formatBytes(status.log.bytes)} in ${segments.length} file(s))`
+        : "Log: empty",
+    );
+    if (currentRun) {
+      console.log(`Current run: ${currentRun.id}${currentRun.name ? ` (${currentRun.name})` : ""}`);
+    }
+    const counts = Object.entries(statuses).map(([name, count]) => `${count} ${name}`);
+    console.log(
+      `Hypotheses: ${hypotheses.length}${counts.length > 0 ? ` (${counts.join(", ")})` : ""}`,
+    );
+  }
+
+  return running ? undefined : EXIT_FAILURE;
+}
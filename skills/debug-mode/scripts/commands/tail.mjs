@@ -0,0 +1,360 @@
+/**
+ * tail - stream entries from the collector's /stream endpoint and
+ * pretty-print them in real-time. Falls back to tailing the log file when the
+ * collector isn't running (or goes away mid-stream).
+ *
+ * With --json each entry is printed as one line of NDJSON and the banners go
+ * to stderr, so the output can be piped.
+ */
+
+import { closeSync, existsSync, openSync, readSync, statSync, watch } from "node:fs";
+import { get } from "node:http";
+import { join } from "node:path";
+import { collectorUrl } from "../collector-info.mjs";
+import { matchesFilter, parseFilter } from "../entry-filter.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const COLLECTOR_URL = collectorUrl(join(DEBUG_DIR, "collector.json"));
+const FILTERS = ["hypothesis", "level", "location", "session", "trace"];
+
+export const usage = [
+  "tail [--hypothesis <ids>] [--level <levels>] [--location <pattern>] [--file]",
+];
+export const description = "Runs until interrupted with Ctrl+C.";
+export const options = {
+  hypothesis: {
+    type: "string",
+    short: "h",
+    value: "<ids>",
+    description: "Filter to specific hypotheses (comma-separated)",
+  },
+  level: {
+    type: "string",
+    value: "<levels>",
+    description: "Filter to specific levels (comma-separated)",
+  },
+  location: {
+    type: "string",
+    value: "<pattern>",
+    description: "Filter to locations by prefix, or glob if it has * or ?",
+  },
+  session: {
+    type: "string",
+    value: "<ids>",
+    description: "Filter to specific sessions (comma-separated)",
+  },
+  trace: {
+    type: "string",
+    value: "<ids>",
+    description: "Filter to specific traces (comma-separated)",
+  },
+  file: { type: "boolean", description: "Tail the log file even if the collector is running" },
+};
+
+// ANSI colors
+const colors = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  magenta: "\x1b[35m",
+  cyan: "\x1b[36m",
+  white: "\x1b[37m",
+  gray: "\x1b[90m",
+};
+
+// Hypothesis colors (cycle through for many hypotheses)
+const hypothesisColors = {
+  A: colors.cyan,
+  B: colors.yellow,
+  C: colors.magenta,
+  D: colors.green,
+  E: colors.blue,
+};
+
+// Level colors
+const levelColors = {
+  error: colors.red,
+  warn: colors.yellow,
+  info: colors.white,
+  debug: colors.gray,
+  trace: colors.dim,
+};
+
+/**
+ * Format timestamp as HH:MM:SS.mmm
+ */
+function formatTime(timestamp) {
+  const d = new Date(timestamp);
+  const hh = d.getHours().toString().padStart(2, "0");
+  const mm = d.getMinutes().toString().padStart(2, "0");
+  const ss = d.getSeconds().toString().padStart(2, "0");
+  const ms = d.getMilliseconds().toString().padStart(3, "0");
+  return `${hh}:${mm}:${ss}.${ms}`;
+}
+
+/**
+ * Get color for hypothesis ID
+ */
+function getHypothesisColor(id) {
+  if (hypothesisColors[id]) {
+    return hypothesisColors[id];
+  }
+  // For other IDs, cycle through colors
+  const colorList = [colors.cyan, colors.yellow, colors.magenta, colors.green, colors.blue];
+  return colorList[id.charCodeAt(0) % colorList.length];
+}
+
+/**
+ * Format and print a log entry
+ */
+function printEntry(entry, json) {
+  if (json) {
+    console.log(JSON.stringify(entry));
+    return;
+  }
+
+  const time = formatTime(entry.timestamp || Date.now());
+  const hypothesisColor = getHypothesisColor(entry.hypothesisId);
+  const level = entry.level || "info";
+  const levelColor = levelColors[level] || colors.white;
+
+  // Header line: [HH:MM:SS.mmm] [H] [level] location
+  console.log(
+    `${colors.gray}[${time}]${colors.reset} ` +
+      `${hypothesisColor}[${entry.hypothesisId}]${colors.reset} ` +
+      `${levelColor}[${level}]${colors.reset} ` +
+      `${colors.bold}${entry.location}${colors.reset}`,
+  );
+
+  // Message line
+  console.log(`  ${colors.dim}→${colors.reset} ${entry.message}`);
+
+  // Data line (if present)
+  if (entry.data !== undefined && entry.data !== null) {
+    const dataStr =
+      typeof entry.data === "string"
+        ? entry.data
+        : JSON.stringify(entry.data, null, 2).split("\n").join("\n    ");
+    console.log(`  ${colors.dim}→ data:${colors.reset} ${dataStr}`);
+  }
+
+  // Blank line for readability
+  console.log();
+}
+
+/**
+ * Process new lines from the log file
+ */
+function processNewLines(lines, filter, json) {
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    try {
+      const entry = JSON.parse(line);
+
+      if (!matchesFilter(entry, filter)) {
+        continue;
+      }
+
+      printEntry(entry, json);
+    } catch {
+      // Skip malformed lines
+      console.error(`${colors.red}[parse error]${colors.reset} ${line}`);
+    }
+  }
+}
+
+/**
+ * Subscribe to the collector's event stream. Resolves with 'unavailable' if
+ * the collector can't be reached, or 'closed' once a live stream ends.
+ */
+function streamFromCollector(params, json, status) {
+  return new Promise((resolve) => {
+    const request = get(`${COLLECTOR_URL}/stream?${params}`, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        resolve("unavailable");
+        return;
+      }
+
+      status(`${colors.gray}Streaming from ${COLLECTOR_URL}${colors.reset}`);
+      status();
+
+      let buffer = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => {
+        buffer += chunk;
+        const events = buffer.split("\n\n");
+        buffer = events.pop() || ""; // Keep incomplete event in buffer
+
+        for (const event of events) {
+          const data = event
+            .split("\n")
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+          if (!data) continue; // Comment-only event (heartbeat)
+
+          try {
+            printEntry(JSON.parse(data), json);
+          } catch {
+            console.error(`${colors.red}[parse error]${colors.reset} ${data}`);
+          }
+        }
+      });
+      response.on("end", () => resolve("closed"));
+      response.on("error", () => resolve("closed"));
+    });
+
+    request.on("error", () => resolve("unavailable"));
+  });
+}
+
+/**
+ * Read a file from a byte offset to its end
+ */
+function readFrom(file, offset) {
+  const size = statSync(file).size;
+  if (size <= offset) return Buffer.alloc(0);
+
+  const chunk = Buffer.alloc(size - offset);
+  const fd = openSync(file, "r");
+  try {
+    const bytesRead = readSync(fd, chunk, 0, chunk.length, offset);
+    return chunk.subarray(0, bytesRead);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Tail the log file directly, reading only the bytes appended since the last
+ * read. Starts from the current end of the file and follows the collector's
+ * rotation into debug.log.1.
+ */
+async function tailFile(filter, json, status) {
+  let lastSize = 0;
+  let lastInode = null;
+  let buffer = Buffer.alloc(0);
+
+  status(`${colors.gray}Watching: ${LOG_FILE}${colors.reset}`);
+  status();
+
+  // Wait for file to exist (if it has to be created, everything in it is new)
+  const existed = existsSync(LOG_FILE);
+  while (!existsSync(LOG_FILE)) {
+    await new Promise((r) => setTimeout(r, 500));
+  }
+
+  // Get initial size
+  try {
+    const stats = statSync(LOG_FILE);
+    lastSize = existed ? stats.size : 0;
+    lastInode = stats.ino;
+  } catch {
+    lastSize = 0;
+  }
+
+  // Read and process new content
+  function readNewContent() {
+    try {
+      const stats = statSync(LOG_FILE);
+      const chunks = [buffer];
+
+      if (stats.ino !== lastInode) {
+        // Rotated: finish the old file (now segment 1) before starting the new one
+        const rotated = `${LOG_FILE}.1`;
+        if (lastInode !== null && existsSync(rotated) && statSync(rotated).ino === lastInode) {
+          chunks.push(readFrom(rotated, lastSize));
+        }
+        lastInode = stats.ino;
+        lastSize = 0;
+      } else if (stats.size < lastSize) {
+        // Truncated (cleared)
+        lastSize = 0;
+        chunks.length = 0;
+      }
+
+      const fresh = readFrom(LOG_FILE, lastSize);
+      lastSize += fresh.length;
+      chunks.push(fresh);
+      buffer = Buffer.concat(chunks);
+
+      // Handle partial lines: keep anything after the last newline in the buffer
+      const end = buffer.lastIndexOf(0x0a);
+      if (end !== -1) {
+        const lines = buffer.subarray(0, end).toString("utf8").split("\n");
+        buffer = buffer.subarray(end + 1);
+        processNewLines(lines, filter, json);
+      }
+    } catch {
+      // File might have been deleted
+      if (!existsSync(LOG_FILE)) {
+        lastSize = 0;
+        buffer = Buffer.alloc(0);
+      }
+    }
+  }
+
+  // Watch for changes
+  const watcher = watch(DEBUG_DIR, { persistent: true }, (eventType, filename) => {
+    if (filename === "debug.log") {
+      readNewContent();
+    }
+  });
+
+  // Also poll periodically (some systems don't fire watch events reliably)
+  const pollInterval = setInterval(readNewContent, 500);
+
+  process.on("exit", () => {
+    watcher.close();
+    clearInterval(pollInterval);
+  });
+
+  // Keep process alive
+  await new Promise(() => {});
+}
+
+export async function run(values) {
+  const { json } = values;
+  const params = new URLSearchParams();
+  for (const name of FILTERS) {
+    if (values[name] !== undefined) {
+      params.set(name, values[name]);
+    }
+  }
+  const filter = parseFilter(params);
+  // Banners go to stderr in JSON mode so stdout stays NDJSON.
+  const status = json ? console.error : console.log;
+
+  // Print header
+  status(`${colors.bold}=== Debug Log Tail ===${colors.reset}`);
+  if (params.size > 0) {
+    status(`${colors.gray}Filtering: ${decodeURIComponent(params.toString())}${colors.reset}`);
+  }
+  status(`${colors.gray}Press Ctrl+C to stop${colors.reset}`);
+
+  process.on("SIGINT", () => {
+    status(`\n${colors.gray}Stopped watching${colors.reset}`);
+    process.exit(0);
+  });
+  process.on("SIGTERM", () => process.exit(0));
+
+  if (!values.file) {
+    const result = await streamFromCollector(params, json, status);
+    if (result === "closed") {
+      status(
+        `${colors.yellow}Collector stream closed, falling back to the log file${colors.reset}`,
+      );
+    } else {
+      status(`${colors.gray}Collector not reachable, tailing the log file${colors.reset}`);
+    }
+  }
+
+  await tailFile(filter, json, status);
+}
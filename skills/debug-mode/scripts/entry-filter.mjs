@@ -0,0 +1,114 @@
+/**
+ * Entry Filters
+ *
+ * Query-string filters shared by the collector's query and streaming endpoints
+ * and the tail tool's file fallback, so all of them select the same entries.
+ */
+
+const LIST_FILTERS = ["hypothesis", "level", "run", "session", "trace"];
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// `*` matches within a path segment, `**` across segments and `?` one character.
+function globToRegExp(glob) {
+  const source = glob.replace(/\*\*|[*?]|[.+^${}()|[\]\\]/g, (token) => {
+    if (token === "**") return ".*";
+    if (token === "*") return "[^/]*";
+    if (token === "?") return "[^/]";
+    return `\\${token}`;
+  });
+  return new RegExp(`^${source}$`);
+}
+
+function parseTime(name, value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}: expected epoch milliseconds or an ISO date`);
+  }
+  return time;
+}
+
+/**
+ * Build a filter from URLSearchParams. `hypothesis`, `level`, `run`,
+ * `session` and `trace` accept comma-separated lists; `location` is a
+ * prefix, or a glob when it contains `*` or `?`; `since`/`until` bound the
+ * timestamp (inclusive); `q` is a case-insensitive search of `message` and
+ * `data`. Throws on malformed times.
+ */
+export function parseFilter(params) {
+  const filter = {};
+  for (const key of LIST_FILTERS) {
+    const value = params.get(key);
+    if (value) {
+      filter[key] = splitList(value);
+    }
+  }
+  const location = params.get("location");
+  if (location) {
+    filter.location = /[*?]/.test(location) ? globToRegExp(location) : location;
+  }
+  for (const key of ["since", "until"]) {
+    const value = params.get(key);
+    if (value) {
+      filter[key] = parseTime(key, value);
+    }
+  }
+  const query = params.get("q");
+  if (query) {
+    filter.q = query.toLowerCase();
+  }
+  return filter;
+}
+
+function matchesLocation(location, pattern) {
+  return typeof pattern === "string"
+    ? String(location).startsWith(pattern)
+    : pattern.test(String(location));
+}
+
+function matchesText(entry, query) {
+  if (String(entry.message).toLowerCase().includes(query)) {
+    return true;
+  }
+  if (entry.data === undefined) {
+    return false;
+  }
+  const data = typeof entry.data === "string" ? entry.data : JSON.stringify(entry.data);
+  return data.toLowerCase().includes(query);
+}
+
+export function matchesFilter(entry, filter) {
+  if (filter.hypothesis && !filter.hypothesis.includes(entry.hypothesisId)) {
+    return false;
+  }
+  if (filter.level && !filter.level.includes(entry.level || "info")) {
+    return false;
+  }
+  if (filter.run && !filter.run.includes(entry.runId)) {
+    return false;
+  }
+  if (filter.session && !filter.session.includes(entry.sessionId || "default")) {
+    return false;
+  }
+  if (filter.trace && !filter.trace.includes(entry.traceId)) {
+    return false;
+  }
+  if (filter.location && !matchesLocation(entry.location, filter.location)) {
+    return false;
+  }
+  if (filter.since !== undefined && !(entry.timestamp >= filter.since)) {
+    return false;
+  }
+  if (filter.until !== undefined && !(entry.timestamp <= filter.until)) {
+    return false;
+  }
+  if (filter.q && !matchesText(entry, filter.q)) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Instrument a Function
+ *
+ * Same as `debug-mode.mjs instrument`.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["instrument", ...process.argv.slice(2)]);
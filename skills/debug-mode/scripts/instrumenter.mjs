@@ -0,0 +1,845 @@
+/**
+ * Instrumenter
+ *
+ * Inserts the standard `__debugLog` calls into one function: entry (with a
+ * snapshot of its parameters), each branch of braced if/else chains and
+ * switch cases, catch blocks, before and after awaited statements, and exit
+ * before every return and at the end of the body. Works on js-scanner tokens
+ * like the remover, so it needs no parser.
+ *
+ * Every inserted call is a line of its own ending in INSTRUMENT_TAG; original
+ * lines are never touched, so `remove` restores the file exactly. Spots that
+ * can't take a line of their own (one-line blocks, unbraced bodies) are
+ * skipped and reported instead.
+ */
+
+import {
+  INSTRUMENT_TAG,
+  codeTokens,
+  findStatementEnd,
+  matchBracket,
+  splitArguments,
+  tokenize,
+} from "./js-scanner.mjs";
+
+export const KINDS = ["entry", "branch", "await", "catch", "exit"];
+
+const MAX_LABEL_LENGTH = 60;
+const NOT_METHOD_NAMES = new Set([
+  "catch",
+  "do",
+  "else",
+  "for",
+  "function",
+  "if",
+  "return",
+  "super",
+  "switch",
+  "while",
+  "with",
+]);
+const METHOD_PREFIXES = new Set([
+  "async",
+  "get",
+  "set",
+  "static",
+  "public",
+  "private",
+  "protected",
+  "override",
+  "*",
+]);
+const PARAMETER_MODIFIERS = new Set(["public", "private", "protected", "readonly", "override"]);
+const NOT_SNAPSHOT_NAMES = new Set([
+  "await",
+  "false",
+  "in",
+  "Infinity",
+  "instanceof",
+  "NaN",
+  "new",
+  "null",
+  "true",
+  "typeof",
+  "undefined",
+  "void",
+]);
+const BLOCK_DECLARATIONS = new Set(["class", "const", "function", "let"]);
+
+// --- Finding the function --------------------------------------------------
+
+// Skip a TypeScript type parameter list `<...>` starting at tokens[index].
+function skipTypeParameters(tokens, index) {
+  if (tokens[index]?.value !== "<") return index;
+  let depth = 0;
+  for (let cursor = index; cursor < tokens.length; cursor += 1) {
+    if (tokens[cursor].value === "<") depth += 1;
+    if (tokens[cursor].value === ">") depth -= 1;
+    if (tokens[cursor].value === ">>") depth -= 2;
+    if (depth <= 0) return cursor + 1;
+  }
+  return -1;
+}
+
+// The body `{` after a parameter list, skipping a `: ReturnType` annotation
+// (object type literals in it start after `:`, `|`, `&`, `<` or `,`).
+function bodyAfterParameters(tokens, close) {
+  let cursor = close + 1;
+  if (tokens[cursor]?.value !== ":") return tokens[cursor]?.value === "{" ? cursor : -1;
+  for (cursor += 1; cursor < tokens.length; cursor += 1) {
+    const { value } = tokens[cursor];
+    if (value === "(" || value === "[") {
+      cursor = matchBracket(tokens, cursor);
+      if (cursor === -1) return -1;
+    } else if (value === "{") {
+      if (!/^(?::|\||&|<|,)$/.test(tokens[cursor - 1].value)) return cursor;
+      cursor = matchBracket(tokens, cursor);
+      if (cursor === -1) return -1;
+    } else if (value === "=>" || value === ";") {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// A function expression or arrow function starting at tokens[index]:
+// `function (...) {`, `async (...) => {`, `x => {` and so on.
+function functionValue(tokens, index) {
+  let cursor = index;
+  if (tokens[cursor]?.value === "async") cursor += 1;
+  if (tokens[cursor]?.value === "function") {
+    cursor += 1;
+    if (tokens[cursor]?.value === "*") cursor += 1;
+    if (tokens[cursor]?.type === "ident") cursor += 1;
+    cursor = skipTypeParameters(tokens, cursor);
+    if (tokens[cursor]?.value !== "(") return null;
+    const paramsClose = matchBracket(tokens, cursor);
+    const bodyOpen = bodyAfterParameters(tokens, paramsClose);
+    return bodyOpen === -1 ? null : { paramsOpen: cursor, paramsClose, bodyOpen };
+  }
+
+  cursor = skipTypeParameters(tokens, cursor);
+  let paramsOpen = cursor;
+  let paramsClose = cursor;
+  if (tokens[cursor]?.value === "(") {
+    paramsClose = matchBracket(tokens, cursor);
+  } else if (tokens[cursor]?.type !== "ident" || tokens[cursor + 1]?.value !== "=>") {
+    return null;
+  } else {
+    paramsOpen = paramsClose = cursor;
+  }
+  let arrow = paramsClose + 1;
+  if (tokens[arrow]?.value === ":") {
+    while (arrow < tokens.length && tokens[arrow].value !== "=>") arrow += 1;
+  }
+  if (tokens[arrow]?.value !== "=>") return null;
+  if (tokens[arrow + 1]?.value !== "{") {
+    return { paramsOpen, paramsClose, bodyOpen: -1, expressionBody: true };
+  }
+  return { paramsOpen, paramsClose, bodyOpen: arrow + 1 };
+}
+
+function functionAt(tokens, index) {
+  const previous = tokens[index - 1];
+  const next = tokens[index + 1];
+  if (previous?.value === "." || previous?.value === "?.") return null;
+
+  // function name(...) {
+  if (
+    previous?.value === "function" ||
+    (previous?.value === "*" && tokens[index - 2]?.value === "function")
+  ) {
+    const open = skipTypeParameters(tokens, index + 1);
+    if (tokens[open]?.value !== "(") return null;
+    const paramsClose = matchBracket(tokens, open);
+    const bodyOpen = bodyAfterParameters(tokens, paramsClose);
+    return bodyOpen === -1 ? null : { paramsOpen: open, paramsClose, bodyOpen };
+  }
+
+  // name = <function>, name: <function>, const name: Type = <function>
+  if (next?.value === "=" || next?.value === ":") {
+    let value = index + 2;
+    if (next.value === ":" && /^(?:const|let|var)$/.test(previous?.value ?? "")) {
+      while (value < tokens.length && tokens[value].value !== "=" && tokens[value].value !== ";") {
+        value += 1;
+      }
+      value += 1;
+    }
+    return functionValue(tokens, value);
+  }
+
+  // Class or object method: name(...) {
+  if (NOT_METHOD_NAMES.has(tokens[index].value)) return null;
+  if (previous && !/^[{};,]$/.test(previous.value) && !METHOD_PREFIXES.has(previous.value)) {
+    return null;
+  }
+  const open = skipTypeParameters(tokens, index + 1);
+  if (tokens[open]?.value !== "(") return null;
+  const paramsClose = matchBracket(tokens, open);
+  const bodyOpen = bodyAfterParameters(tokens, paramsClose);
+  return bodyOpen === -1 ? null : { paramsOpen: open, paramsClose, bodyOpen };
+}
+
+/**
+ * Functions named `name` (`Class.method` looks inside `class Class`), each
+ * with the token indexes of its parameter list and body.
+ */
+export function findFunctions(tokens, name) {
+  const [owner, member] = name.includes(".") ? name.split(".") : [null, name];
+  let range = [0, tokens.length];
+  if (owner) {
+    const index = tokens.findIndex(
+      (token, cursor) => token.value === owner && tokens[cursor - 1]?.value === "class",
+    );
+    if (index === -1) return [];
+    let open = index + 1;
+    while (open < tokens.length && tokens[open].value !== "{") open += 1;
+    range = [open, matchBracket(tokens, open)];
+  }
+
+  const found = [];
+  for (let index = range[0]; index < range[1]; index += 1) {
+    if (tokens[index].type !== "ident" || tokens[index].value !== member) continue;
+    const fn = functionAt(tokens, index);
+    if (!fn || fn.paramsClose === -1) continue;
+    fn.line = tokens[index].line;
+    fn.bodyClose = fn.expressionBody ? -1 : matchBracket(tokens, fn.bodyOpen);
+    found.push(fn);
+  }
+  return found;
+}
+
+// --- Snapshots -------------------------------------------------------------
+
+/** Names a parameter list binds, including names inside destructuring. */
+export function parameterNames(source, tokens, open, close) {
+  if (open === close) return [tokens[open].value];
+  const names = [];
+  for (const param of splitArguments(source, tokens, open, close)) {
+    let cursor = param.tokens[0];
+    const last = param.tokens[1];
+    while (PARAMETER_MODIFIERS.has(tokens[cursor]?.value) && tokens[cursor + 1]?.type === "ident") {
+      cursor += 1;
+    }
+    if (tokens[cursor].value === "...") cursor += 1;
+
+    const token = tokens[cursor];
+    if ((token.value === "{" || token.value === "[") && cursor <= last) {
+      names.push(...patternNames(tokens, cursor, matchBracket(tokens, cursor)));
+    } else if (token.type === "ident" && token.value !== "this") {
+      names.push(token.value);
+    }
+  }
+  return names;
+}
+
+// `a`, `a.b.c` and `this.x` references in tokens[first..last], as
+// optional-chained expressions keyed by their source text. Method names are
+// dropped from chains so nothing gets called.
+function referencedValues(tokens, first, last, shadowed = new Set()) {
+  const values = new Map();
+  for (let cursor = first; cursor <= last; cursor += 1) {
+    const token = tokens[cursor];
+    if (token.type !== "ident" || NOT_SNAPSHOT_NAMES.has(token.value)) continue;
+    if (/^(?:\.|\?\.)$/.test(tokens[cursor - 1]?.value ?? "")) continue;
+    if (tokens[cursor + 1]?.value === "=>" || shadowed.has(token.value)) continue;
+
+    const parts = [token.value];
+    let end = cursor;
+    while (
+      /^(?:\.|\?\.)$/.test(tokens[end + 1]?.value ?? "") &&
+      tokens[end + 2]?.type === "ident"
+    ) {
+      parts.push(tokens[end + 2].value);
+      end += 2;
+    }
+    if (tokens[end + 1]?.value === "(" || tokens[end + 1]?.value === "`") parts.pop();
+    cursor = end;
+    if (parts.length === 0 || (parts.length === 1 && parts[0] === "this")) continue;
+    if (parts.length === 1 && tokens[cursor + 1]?.value === "(") continue;
+
+    const key = parts.join(".");
+    const expression = parts[0] === "this" ? `this.${parts.slice(1).join("?.")}` : parts.join("?.");
+    values.set(key, expression);
+  }
+  return values;
+}
+
+// A return expression that can be evaluated a second time without side
+// effects: a literal, a name or a property chain.
+function isSimpleExpression(tokens, first, last) {
+  if (first > last) return false;
+  for (let cursor = first; cursor <= last; cursor += 1) {
+    const { type, value } = tokens[cursor];
+    if (type === "string" || type === "number") continue;
+    if (type === "template" && !value.includes("${")) continue;
+    if (type === "ident" && value !== "await" && value !== "yield" && value !== "new") continue;
+    if (value === "." || value === "?.") continue;
+    return false;
+  }
+  return true;
+}
+
+// --- Walking the body ------------------------------------------------------
+
+// Token ranges of functions nested in tokens[first..last], whose awaits and
+// returns belong to them rather than to the instrumented function.
+function nestedFunctionRanges(tokens, first, last) {
+  const ranges = [];
+  for (let cursor = first; cursor <= last; cursor += 1) {
+    const { value } = tokens[cursor];
+    if (value === "=>") {
+      if (tokens[cursor + 1]?.value === "{") {
+        const close = matchBracket(tokens, cursor + 1);
+        ranges.push([cursor, close]);
+        cursor = close;
+        continue;
+      }
+      let depth = 0;
+      let end = cursor + 1;
+      for (; end <= last; end += 1) {
+        const item = tokens[end].value;
+        if ("([{".includes(item)) depth += 1;
+        if (")]}".includes(item)) depth -= 1;
+        if (depth < 0 || (depth === 0 && (item === "," || item === ";"))) break;
+      }
+      ranges.push([cursor, end - 1]);
+      cursor = end - 1;
+    } else if (value === "function") {
+      let open = cursor + 1;
+      while (open <= last && tokens[open].value !== "{") open += 1;
+      const close = open <= last ? matchBracket(tokens, open) : last;
+      ranges.push([cursor, close]);
+      cursor = close;
+    } else if (value === "class") {
+      let open = cursor + 1;
+      while (open <= last && tokens[open].value !== "{") open += 1;
+      const close = open <= last ? matchBracket(tokens, open) : last;
+      ranges.push([cursor, close]);
+      cursor = close;
+    }
+  }
+  return ranges;
+}
+
+function ownTokenIndex(tokens, first, last, value) {
+  const nested = nestedFunctionRanges(tokens, first, last);
+  for (let cursor = first; cursor <= last; cursor += 1) {
+    if (nested.some(([start, end]) => cursor >= start && cursor <= end)) continue;
+    if (tokens[cursor].value === value && tokens[cursor].type === "ident") return cursor;
+  }
+  return -1;
+}
+
+function blockDeclarations(tokens, open, close) {
+  const names = new Set();
+  let depth = 0;
+  for (let cursor = open + 1; cursor < close; cursor += 1) {
+    const { value } = tokens[cursor];
+    if ("([{".includes(value)) depth += 1;
+    if (")]}".includes(value)) depth -= 1;
+    if (depth === 0 && BLOCK_DECLARATIONS.has(value) && tokens[cursor + 1]?.type === "ident") {
+      names.add(tokens[cursor + 1].value);
+    }
+  }
+  return names;
+}
+
+function collapse(text) {
+  const single = text.replace(/\s+/g, " ").trim();
+  return single.length > MAX_LABEL_LENGTH ? `${single.slice(0, MAX_LABEL_LENGTH - 3)}...` : single;
+}
+
+/**
+ * Walk the statements of the block tokens[open..close] and report what to
+ * log where through `emit(kind, spot)`.
+ */
+function walkBlock(source, tokens, open, close, emit) {
+  let cursor = open + 1;
+  let lastStatement = null;
+  while (cursor < close) {
+    lastStatement = cursor;
+    cursor = walkStatement(source, tokens, cursor, close, emit) + 1;
+  }
+  return lastStatement;
+}
+
+function text(source, tokens, first, last) {
+  return source.slice(tokens[first].start, tokens[last].end);
+}
+
+function walkBody(source, tokens, bodyStart, limit, emit, branch) {
+  if (tokens[bodyStart]?.value === "{") {
+    const close = matchBracket(tokens, bodyStart);
+    if (branch) emit("branch", { after: bodyStart, ...branch(bodyStart, close) });
+    walkBlock(source, tokens, bodyStart, close, emit);
+    return close;
+  }
+  const end = walkStatement(source, tokens, bodyStart, limit, emit, true);
+  if (branch) emit("skipped", { at: bodyStart, reason: "unbraced branch body" });
+  return end;
+}
+
+function walkStatement(source, tokens, index, limit, emit, unbraced = false) {
+  const token = tokens[index];
+  const { value } = token;
+
+  if (value === ";") return index;
+  if (value === "{") {
+    const close = matchBracket(tokens, index);
+    walkBlock(source, tokens, index, close, emit);
+    return close;
+  }
+  if (token.type === "ident" && tokens[index + 1]?.value === ":" && value !== "default") {
+    return walkStatement(source, tokens, index + 2, limit, emit, unbraced);
+  }
+
+  if (value === "if") {
+    return walkIf(source, tokens, index, limit, emit, "if", new Set());
+  }
+  if (value === "for" || value === "while" || value === "with") {
+    let head = index + 1;
+    if (tokens[head]?.value === "await") head += 1;
+    const headClose = matchBracket(tokens, head);
+    return walkBody(source, tokens, headClose + 1, limit, emit, null);
+  }
+  if (value === "do") {
+    const end = walkBody(source, tokens, index + 1, limit, emit, null);
+    let cursor = matchBracket(tokens, end + 2);
+    if (tokens[cursor + 1]?.value === ";") cursor += 1;
+    return cursor;
+  }
+  if (value === "try") {
+    let cursor = matchBracket(tokens, index + 1);
+    walkBlock(source, tokens, index + 1, cursor, emit);
+    while (tokens[cursor + 1]?.value === "catch" || tokens[cursor + 1]?.value === "finally") {
+      const keyword = cursor + 1;
+      let blockOpen = keyword + 1;
+      let binding = null;
+      if (tokens[keyword].value === "catch" && tokens[blockOpen].value === "(") {
+        const bindingClose = matchBracket(tokens, blockOpen);
+        binding = [blockOpen + 1, bindingClose - 1];
+        blockOpen = bindingClose + 1;
+      }
+      cursor = matchBracket(tokens, blockOpen);
+      if (tokens[keyword].value === "catch") emit("catch", { after: blockOpen, binding });
+      walkBlock(source, tokens, blockOpen, cursor, emit);
+    }
+    return cursor;
+  }
+  if (value === "switch") {
+    const headClose = matchBracket(tokens, index + 1);
+    const open = headClose + 1;
+    const close = matchBracket(tokens, open);
+    const discriminant = referencedValues(tokens, index + 2, headClose - 1);
+    let cursor = open + 1;
+    while (cursor < close) {
+      if (tokens[cursor].value === "case" || tokens[cursor].value === "default") {
+        let colon = cursor + 1;
+        let depth = 0;
+        for (; colon < close; colon += 1) {
+          const item = tokens[colon].value;
+          if ("([{".includes(item)) depth += 1;
+          if (")]}".includes(item)) depth -= 1;
+          if (depth === 0 && item === ":") break;
+        }
+        const label = text(source, tokens, cursor, colon - 1);
+        emit("branch", {
+          after: colon,
+          label: `Case taken: ${collapse(label)}`,
+          values: discriminant,
+        });
+        cursor = colon + 1;
+        continue;
+      }
+      cursor = walkStatement(source, tokens, cursor, close, emit) + 1;
+    }
+    return close;
+  }
+  if (value === "function" || (value === "async" && tokens[index + 1]?.value === "function")) {
+    let open = index + 1;
+    while (open < limit && tokens[open].value !== "{") open += 1;
+    return matchBracket(tokens, open);
+  }
+  if (value === "class") {
+    let open = index + 1;
+    while (open < limit && tokens[open].value !== "{") open += 1;
+    return matchBracket(tokens, open);
+  }
+
+  // A simple statement: return, throw, declaration or expression.
+  let end = findStatementEnd(tokens, index);
+  if (end >= limit) end = limit - 1;
+  if (value === "return") {
+    const expressionEnd = tokens[end].value === ";" ? end - 1 : end;
+    emit(unbraced ? "skipped" : "exit", {
+      at: index,
+      reason: "return in an unbraced body",
+      result: isSimpleExpression(tokens, index + 1, expressionEnd)
+        ? text(source, tokens, index + 1, expressionEnd)
+        : null,
+    });
+    return end;
+  }
+  const awaitIndex = ownTokenIndex(tokens, index, end, "await");
+  if (awaitIndex !== -1 && value !== "throw") {
+    const expressionEnd = tokens[end].value === ";" ? end - 1 : end;
+    const label =
+      awaitIndex < expressionEnd ? text(source, tokens, awaitIndex + 1, expressionEnd) : "";
+    const assigned = assignedNames(source, tokens, index, awaitIndex);
+    emit(unbraced ? "skipped" : "await", {
+      at: index,
+      end,
+      label: collapse(label),
+      assigned,
+      reason: "await in an unbraced body",
+    });
+  }
+  return end;
+}
+
+const ignore = () => {};
+
+/**
+ * Whether the statement at tokens[index] always ends in a return or throw:
+ * return and throw themselves, blocks ending in one, if/else whose branches
+ * all do, and try statements whose try and catch blocks (or finally) do.
+ * Loops and switches count as completing normally.
+ */
+function completesAbruptly(source, tokens, index, limit) {
+  const token = tokens[index];
+  const { value } = token;
+  if (value === "return" || value === "throw") return true;
+  if (value === "{") {
+    const close = matchBracket(tokens, index);
+    const last = walkBlock(source, tokens, index, close, ignore);
+    return last !== null && completesAbruptly(source, tokens, last, close);
+  }
+  if (token.type === "ident" && tokens[index + 1]?.value === ":" && value !== "default") {
+    return completesAbruptly(source, tokens, index + 2, limit);
+  }
+  if (value === "if") {
+    const body = matchBracket(tokens, index + 1) + 1;
+    const end = walkStatement(source, tokens, body, limit, ignore, true);
+    return (
+      tokens[end + 1]?.value === "else" &&
+      completesAbruptly(source, tokens, body, limit) &&
+      completesAbruptly(source, tokens, end + 2, limit)
+    );
+  }
+  if (value === "try") {
+    let cursor = matchBracket(tokens, index + 1);
+    let handled = completesAbruptly(source, tokens, index + 1, limit);
+    let finalized = false;
+    while (tokens[cursor + 1]?.value === "catch" || tokens[cursor + 1]?.value === "finally") {
+      const keyword = tokens[cursor + 1].value;
+      let blockOpen = cursor + 2;
+      if (tokens[blockOpen].value === "(") blockOpen = matchBracket(tokens, blockOpen) + 1;
+      cursor = matchBracket(tokens, blockOpen);
+      const abrupt = completesAbruptly(source, tokens, blockOpen, limit);
+      if (keyword === "catch") handled &&= abrupt;
+      else finalized = abrupt;
+    }
+    return handled || finalized;
+  }
+  return false;
+}
+
+// `const x = await`, `const { a, b } = await`, `x = await`, `this.x = await`.
+function assignedNames(source, tokens, first, awaitIndex) {
+  if (tokens[awaitIndex - 1]?.value !== "=") return [];
+  let cursor = first;
+  if (/^(?:const|let|var)$/.test(tokens[cursor].value)) cursor += 1;
+  const target = tokens[cursor];
+  if (target.value === "{" || target.value === "[") {
+    return patternNames(tokens, cursor, matchBracket(tokens, cursor));
+  }
+  const expression = text(source, tokens, cursor, awaitIndex - 2);
+  return /^[\w$]+(?:\.[\w$]+)*$/.test(expression) ? [expression] : [];
+}
+
+function patternNames(tokens, open, close) {
+  const names = [];
+  for (let item = open + 1; item < close; item += 1) {
+    const candidate = tokens[item];
+    if (candidate.type !== "ident") continue;
+    if (!/^[,}\]=]$/.test(tokens[item + 1]?.value ?? "")) continue;
+    if (/^(?:\.|\?\.|=)$/.test(tokens[item - 1]?.value ?? "")) continue;
+    names.push(candidate.value);
+  }
+  return names;
+}
+
+function walkIf(source, tokens, index, limit, emit, keyword, previous) {
+  const condOpen = index + 1;
+  const condClose = matchBracket(tokens, condOpen);
+  const condition = text(source, tokens, condOpen + 1, condClose - 1);
+  const values = referencedValues(tokens, condOpen + 1, condClose - 1);
+  const end = walkBody(source, tokens, condClose + 1, limit, emit, (open, close) => ({
+    label: `Branch taken: ${keyword} (${collapse(condition)})`,
+    values,
+    shadowed: blockDeclarations(tokens, open, close),
+  }));
+
+  if (tokens[end + 1]?.value !== "else") return end;
+  const elseIndex = end + 1;
+  if (tokens[elseIndex + 1]?.value === "if") {
+    return walkIf(source, tokens, elseIndex + 1, limit, emit, "else if", previous);
+  }
+  return walkBody(source, tokens, elseIndex + 1, limit, emit, () => ({
+    label: "Branch taken: else",
+    values: new Map(),
+  }));
+}
+
+// --- Writing the calls -----------------------------------------------------
+
+function lineStartOf(source, offset) {
+  return source.lastIndexOf("\n", offset - 1) + 1;
+}
+
+function lineEndOf(source, offset) {
+  const end = source.indexOf("\n", offset);
+  return end === -1 ? source.length : end;
+}
+
+function indentOf(source, offset) {
+  const start = lineStartOf(source, offset);
+  return /^[ \t]*/.exec(source.slice(start))[0];
+}
+
+// Code-only from `offset` to the end of its line (a trailing comment is fine).
+function restOfLineIsEmpty(source, offset) {
+  const rest = source.slice(offset, lineEndOf(source, offset)).trim();
+  return rest === "" || rest.startsWith("//");
+}
+
+function firstOnLine(source, offset) {
+  return source.slice(lineStartOf(source, offset), offset).trim() === "";
+}
+
+// Code that continues whatever precedes it when no semicolon is in between:
+// an inserted call before it has to end with one, whatever the file's style.
+const CONTINUES_CALL = /^(?:\s|\/\/.*\n|\/\*(?:[^*]|\*(?!\/))*\*\/)*(?:[-+([`]|\/(?![/*]))/;
+
+function detectStyle(source, allTokens) {
+  const strings = allTokens.filter((token) => token.type === "string");
+  const single = strings.filter((token) => token.value.startsWith("'")).length;
+  const indentUnit = /^( +|\t)\S/m.exec(source)?.[1] ?? "  ";
+  return {
+    quote: single > strings.length - single ? "'" : '"',
+    semicolon: /;[ \t]*(?:\/\/.*)?$/m.test(source) ? ";" : "",
+    indentUnit: indentUnit.startsWith("\t") ? "\t" : indentUnit,
+  };
+}
+
+function quoteString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(new RegExp(quote, "g"), `\\${quote}`);
+  return `${quote}${escaped}${quote}`;
+}
+
+function objectLiteral(entries, quote) {
+  if (entries.length === 0) return null;
+  const parts = entries.map(([key, expression]) =>
+    key === expression
+      ? key
+      : `${/^[\w$]+$/.test(key) ? key : quoteString(key, quote)}: ${expression}`,
+  );
+  return `{ ${parts.join(", ")} }`;
+}
+
+/**
+ * Instrument the function `name` in `source`. Returns the new source, the
+ * inserted calls (`{ kind, line, message }`, lines in the new source) and the
+ * spots that were skipped (`{ line, reason }`, lines in the original).
+ * Throws if the function isn't found exactly once (pass `line` to pick one),
+ * has an expression body, or was already instrumented for `location`.
+ */
+export function instrumentFunction(
+  source,
+  { name, location, hypothesisId, kinds = KINDS, line = null },
+) {
+  const allTokens = tokenize(source);
+  const tokens = codeTokens(source);
+  let found = findFunctions(tokens, name);
+  if (line !== null) found = found.filter((fn) => fn.line === line);
+  if (found.length === 0) {
+    throw new Error(
+      line === null ? `Function ${name} not found` : `Function ${name} not found on line ${line}`,
+    );
+  }
+  if (found.length > 1) {
+    const lines = found.map((fn) => fn.line).join(", ");
+    throw new Error(`${name} matches ${found.length} functions (lines ${lines}); pass --line`);
+  }
+
+  const fn = found[0];
+  if (fn.expressionBody) {
+    throw new Error(`${name} has an expression body; give it a { ... } body first`);
+  }
+  const body = source.slice(tokens[fn.bodyOpen].start, tokens[fn.bodyClose].end);
+  const locationPattern = new RegExp(
+    `["']${location.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}["'].*${INSTRUMENT_TAG}`,
+  );
+  if (locationPattern.test(body)) {
+    throw new Error(`${location} is already instrumented; run remove first`);
+  }
+
+  const style = detectStyle(source, allTokens);
+  const insertions = [];
+  const skipped = [];
+  const skip = (tokenIndex, reason) => skipped.push({ line: tokens[tokenIndex].line, reason });
+
+  const call = (kind, message, data, level = null) => {
+    const args = [location, hypothesisId, message].map((value) => quoteString(value, style.quote));
+    if (data || level) args.push(data ?? "null");
+    if (level) args.push(quoteString(level, style.quote));
+    return {
+      kind,
+      message,
+      code: `__debugLog(${args.join(", ")})`,
+    };
+  };
+
+  // A line of its own right after tokens[open] (a `{` or a case `:`).
+  const insertAfterOpen = (open, close, entry) => {
+    const openToken = tokens[open];
+    if (!restOfLineIsEmpty(source, openToken.end)) {
+      skip(open, `no room for the ${entry.kind} log on a one-line block`);
+      return;
+    }
+    const next = tokens[open + 1];
+    const nextIsInside = next && (close === null || open + 1 < close) && next.line > openToken.line;
+    const indent = nextIsInside
+      ? indentOf(source, next.start)
+      : indentOf(source, openToken.start) + style.indentUnit;
+    const offset = lineEndOf(source, openToken.end) + 1;
+    insertions.push({ offset, indent, ...entry });
+  };
+
+  const insertBefore = (tokenIndex, entry) => {
+    const token = tokens[tokenIndex];
+    if (!firstOnLine(source, token.start)) {
+      skip(tokenIndex, `no room for the ${entry.kind} log before code on the same line`);
+      return;
+    }
+    insertions.push({
+      offset: lineStartOf(source, token.start),
+      indent: indentOf(source, token.start),
+      ...entry,
+    });
+  };
+
+  const insertAfter = (first, last, entry) => {
+    if (!restOfLineIsEmpty(source, tokens[last].end)) {
+      skip(last, `no room for the ${entry.kind} log after code on the same line`);
+      return;
+    }
+    const offset = Math.min(lineEndOf(source, tokens[last].end) + 1, source.length);
+    insertions.push({ offset, indent: indentOf(source, tokens[first].start), ...entry });
+  };
+
+  const wanted = new Set(kinds);
+  const emit = (kind, spot) => {
+    if (kind === "skipped") {
+      skip(spot.at, spot.reason);
+      return;
+    }
+    if (!wanted.has(kind)) return;
+
+    if (kind === "branch") {
+      const values = [...spot.values].filter(([key]) => !spot.shadowed?.has(key.split(".")[0]));
+      const close = tokens[spot.after].value === "{" ? matchBracket(tokens, spot.after) : null;
+      insertAfterOpen(
+        spot.after,
+        close,
+        call(kind, spot.label, objectLiteral(values, style.quote)),
+      );
+    } else if (kind === "catch") {
+      const close = matchBracket(tokens, spot.after);
+      let data = null;
+      if (spot.binding && spot.binding[0] === spot.binding[1]) {
+        const error = tokens[spot.binding[0]].value;
+        // `instanceof` narrows the binding, which is `unknown` under strict TS.
+        const isError = `${error} instanceof Error`;
+        data =
+          `{ error: ${isError} ? ${error}.message : String(${error}), ` +
+          `stack: ${isError} ? ${error}.stack : undefined }`;
+      }
+      insertAfterOpen(spot.after, close, call(kind, "Caught error", data, "error"));
+    } else if (kind === "await") {
+      const label = spot.label ? `: ${spot.label}` : "";
+      insertBefore(spot.at, call(kind, `Before await${label}`, null));
+      const data = objectLiteral(
+        spot.assigned.map((item) => [item, item.includes(".") ? item.replace(/\./g, "?.") : item]),
+        style.quote,
+      );
+      insertAfter(spot.at, spot.end, call(kind, `After await${label}`, data));
+    } else if (kind === "exit") {
+      const data = spot.result === null ? null : `{ result: ${spot.result} }`;
+      insertBefore(spot.at, call(kind, "Function exit", data));
+    }
+  };
+
+  if (wanted.has("entry")) {
+    const names = parameterNames(source, tokens, fn.paramsOpen, fn.paramsClose);
+    const data = objectLiteral(
+      names.map((item) => [item, item]),
+      style.quote,
+    );
+    insertAfterOpen(fn.bodyOpen, fn.bodyClose, call("entry", "Function entry", data));
+  }
+  const lastStatement = walkBlock(source, tokens, fn.bodyOpen, fn.bodyClose, emit);
+
+  // Falling off the end of the body is an exit too, unless it can't happen:
+  // a log there would be unreachable code.
+  const endsWithExit =
+    lastStatement !== null && completesAbruptly(source, tokens, lastStatement, fn.bodyClose);
+  if (wanted.has("exit") && !endsWithExit) {
+    const closeToken = tokens[fn.bodyClose];
+    if (firstOnLine(source, closeToken.start)) {
+      const indent =
+        lastStatement === null
+          ? indentOf(source, closeToken.start) + style.indentUnit
+          : indentOf(source, tokens[lastStatement].start);
+      insertions.push({
+        offset: lineStartOf(source, closeToken.start),
+        indent,
+        ...call("exit", "Function exit", null),
+      });
+    } else {
+      skip(fn.bodyClose, "no room for an exit log before a closing brace on the same line");
+    }
+  }
+
+  // Insert bottom-up; equal offsets keep the order they were found in.
+  const ordered = insertions
+    .map((insertion, order) => ({ ...insertion, order }))
+    .sort((left, right) => right.offset - left.offset || right.order - left.order);
+  let output = source;
+  for (const insertion of ordered) {
+    const prefix =
+      insertion.offset > 0 && !output.slice(0, insertion.offset).endsWith("\n") ? "\n" : "";
+    const rest = output.slice(insertion.offset);
+    const semicolon = CONTINUES_CALL.test(rest) ? ";" : style.semicolon;
+    output =
+      output.slice(0, insertion.offset) +
+      `${prefix}${insertion.indent}${insertion.code}${semicolon} ${INSTRUMENT_TAG}\n` +
+      rest;
+  }
+
+  const lines = output.split("\n");
+  const inserted = [];
+  lines.forEach((text, index) => {
+    if (text.endsWith(INSTRUMENT_TAG) && text.includes(quoteString(location, style.quote))) {
+      const code = text.slice(0, -INSTRUMENT_TAG.length).trim().replace(/;$/, "");
+      const match = insertions.find((item) => code === item.code);
+      inserted.push({ kind: match?.kind ?? "entry", line: index + 1, message: match?.message });
+    }
+  });
+
+  return { output, inserted, skipped, line: fn.line };
+}
@@ -0,0 +1,380 @@
+/**
+ * JS/TS Scanner
+ *
+ * Minimal dependency-free tokenizer for JavaScript and TypeScript sources.
+ * It understands strings, template literals, comments and regex literals well
+ * enough to find logger calls and match their brackets without a full parser.
+ */
+
+import { readdirSync, statSync } from "node:fs";
+import { extname, join } from "node:path";
+
+export const LOGGER_NAME = /^(?:__debugLog\w*|__debugAssert|__d)$/;
+// Ends every line `instrument` inserts, so `remove` can take exactly those
+// lines out again.
+export const INSTRUMENT_TAG = "// @debug-instrument";
+
+const EXTENSIONS = new Set([".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"]);
+const SKIP_DIRS = new Set([".debug", ".git", ".next", "build", "coverage", "dist", "node_modules"]);
+
+const REGEX_PREFIX_KEYWORDS = new Set([
+  "await",
+  "case",
+  "delete",
+  "do",
+  "else",
+  "in",
+  "instanceof",
+  "new",
+  "of",
+  "return",
+  "throw",
+  "typeof",
+  "void",
+  "yield",
+]);
+
+const PUNCTUATOR =
+  /\.\.\.|\?\?=|\?\.(?!\d)|=>|[=!]==?|>>>=?|>>=?|<<=?|[<>]=?|&&=?|\|\|=?|\?\?|\*\*=?|\+\+|--|[-+*/%&|^]=|[^\s\w$]/y;
+const IDENTIFIER = /[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+const NUMBER = /\.?\d[\w.]*/y;
+
+function skipString(source, index) {
+  const quote = source[index];
+  let cursor = index + 1;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === "\\") {
+      cursor += 2;
+    } else if (char === quote) {
+      return cursor + 1;
+    } else if (char === "\n") {
+      // Unterminated on this line: most likely an apostrophe in JSX text.
+      return cursor;
+    } else {
+      cursor += 1;
+    }
+  }
+  return source.length;
+}
+
+// Tokens of each `${...}` substitution are added to `substitutions`.
+function skipTemplate(source, index, substitutions) {
+  let cursor = index + 1;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === "\\") {
+      cursor += 2;
+    } else if (char === "`") {
+      return cursor + 1;
+    } else if (char === "$" && source[cursor + 1] === "{") {
+      const inner = scan(source, cursor + 2, true);
+      substitutions.push(...inner.tokens);
+      cursor = inner.end + 1;
+    } else {
+      cursor += 1;
+    }
+  }
+  return source.length;
+}
+
+function skipRegex(source, index) {
+  let cursor = index + 1;
+  let inClass = false;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === "\\") {
+      cursor += 2;
+      continue;
+    }
+    if (char === "\n") {
+      return cursor;
+    }
+    if (char === "[") inClass = true;
+    if (char === "]") inClass = false;
+    cursor += 1;
+    if (char === "/" && !inClass) {
+      while (/[a-z]/i.test(source[cursor] ?? "")) cursor += 1;
+      return cursor;
+    }
+  }
+  return source.length;
+}
+
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (previous.type === "punct") return !/^[)\]}]$/.test(previous.value);
+  if (previous.type === "ident") return REGEX_PREFIX_KEYWORDS.has(previous.value);
+  return false;
+}
+
+function readSticky(pattern, source, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(source);
+  return match ? index + match[0].length : index + 1;
+}
+
+function scan(source, start, stopAtUnmatchedBrace) {
+  const tokens = [];
+  let depth = 0;
+  let index = start;
+  let previous = null;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    let type;
+    let end;
+    let substitutions;
+    if (char === "/" && source[index + 1] === "/") {
+      type = "comment";
+      end = source.indexOf("\n", index);
+      if (end === -1) end = source.length;
+    } else if (char === "/" && source[index + 1] === "*") {
+      type = "comment";
+      end = source.indexOf("*/", index + 2);
+      end = end === -1 ? source.length : end + 2;
+    } else if (char === '"' || char === "'") {
+      type = "string";
+      end = skipString(source, index);
+    } else if (char === "`") {
+      type = "template";
+      substitutions = [];
+      end = skipTemplate(source, index, substitutions);
+    } else if (char === "/" && regexAllowed(previous)) {
+      type = "regex";
+      end = skipRegex(source, index);
+    } else if (/[\d]/.test(char) || (char === "." && /\d/.test(source[index + 1] ?? ""))) {
+      type = "number";
+      end = readSticky(NUMBER, source, index);
+    } else if (/[A-Za-z_$\u0080-\uffff]/.test(char)) {
+      type = "ident";
+      end = readSticky(IDENTIFIER, source, index);
+    } else {
+      type = "punct";
+      end = readSticky(PUNCTUATOR, source, index);
+    }
+
+    if (type === "punct" && stopAtUnmatchedBrace) {
+      if (char === "{") depth += 1;
+      if (char === "}") {
+        if (depth === 0) return { tokens, end: index };
+        depth -= 1;
+      }
+    }
+
+    const token = { type, value: source.slice(index, end), start: index, end };
+    if (substitutions?.length > 0) token.substitutions = substitutions;
+    tokens.push(token);
+    if (type !== "comment") previous = token;
+    index = end;
+  }
+
+  return { tokens, end: source.length };
+}
+
+/**
+ * Tokenize a source file. Whitespace is dropped; comments are kept as tokens
+ * so callers can decide whether to skip them. Every token carries its line.
+ * A template literal is one token; the tokens of its `${...}` substitutions
+ * are in its `substitutions`.
+ */
+export function tokenize(source) {
+  const { tokens } = scan(source, 0, false);
+  const lineStarts = [0];
+  for (let index = source.indexOf("\n"); index !== -1; index = source.indexOf("\n", index + 1)) {
+    lineStarts.push(index + 1);
+  }
+
+  let line = 0;
+  const assignLines = (list) => {
+    for (const token of list) {
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= token.start) line += 1;
+      token.line = line + 1;
+      if (token.substitutions) assignLines(token.substitutions);
+    }
+  };
+  assignLines(tokens);
+  return tokens;
+}
+
+/** Tokens without comments - what a parser would see. */
+export function codeTokens(source) {
+  return tokenize(source).filter((token) => token.type !== "comment");
+}
+
+// Tokens that cannot end an expression: a line ending in one continues.
+export const CONTINUES_AFTER =
+  /^(?:[-+*/%&|^!~?:,.=<>([{]|=>|\?\.|\?\?|&&|\|\||\*\*|\.\.\.|[-+*/%&|^<>=!]=+|<<|>>>?|\+\+|--)$/;
+// Tokens that cannot start a statement: a line starting with one continues the previous.
+export const CONTINUES_BEFORE =
+  /^(?:[-+*/%&|^?:,.=<>([`]|=>|\?\.|\?\?|&&|\|\||\*\*|[-+*/%&|^<>=!]=+|<<|>>>?)$/;
+
+export function isStatementStart(tokens, index) {
+  const previous = tokens[index - 1];
+  if (!previous) return true;
+  if (previous.value === ";" || previous.value === "{" || previous.value === "}") return true;
+  return previous.line < tokens[index].line && !CONTINUES_AFTER.test(previous.value);
+}
+
+/** Index of the last token of the statement starting at tokens[index]. */
+export function findStatementEnd(tokens, index) {
+  let depth = 0;
+  for (let cursor = index; cursor < tokens.length; cursor += 1) {
+    const { value, type } = tokens[cursor];
+    if (type === "punct" && "([{".includes(value)) depth += 1;
+    if (type === "punct" && ")]}".includes(value)) depth -= 1;
+    if (depth < 0) return cursor - 1;
+    if (depth === 0 && value === ";") return cursor;
+
+    const next = tokens[cursor + 1];
+    if (!next) return cursor;
+    if (
+      depth === 0 &&
+      next.line > tokens[cursor].line &&
+      !CONTINUES_AFTER.test(value) &&
+      !CONTINUES_BEFORE.test(next.value)
+    ) {
+      return cursor;
+    }
+  }
+  return tokens.length - 1;
+}
+
+const CLOSERS = { "(": ")", "[": "]", "{": "}" };
+
+/** Index of the bracket closing tokens[index], or -1 if unbalanced. */
+export function matchBracket(tokens, index) {
+  const open = tokens[index].value;
+  const close = CLOSERS[open];
+  let depth = 0;
+  for (let cursor = index; cursor < tokens.length; cursor += 1) {
+    const { type, value } = tokens[cursor];
+    if (type !== "punct") continue;
+    if (value === open) depth += 1;
+    if (value === close) {
+      depth -= 1;
+      if (depth === 0) return cursor;
+    }
+  }
+  return -1;
+}
+
+const OPENERS = { ")": "(", "]": "[", "}": "{" };
+
+/** Index of the bracket opening the closer at tokens[index], or -1. */
+export function matchBracketBackward(tokens, index) {
+  const close = tokens[index].value;
+  const open = OPENERS[close];
+  let depth = 0;
+  for (let cursor = index; cursor >= 0; cursor -= 1) {
+    const { type, value } = tokens[cursor];
+    if (type !== "punct") continue;
+    if (value === close) depth += 1;
+    if (value === open) {
+      depth -= 1;
+      if (depth === 0) return cursor;
+    }
+  }
+  return -1;
+}
+
+/** Split the tokens between an open and close bracket on top-level commas. */
+export function splitArguments(source, tokens, open, close) {
+  const args = [];
+  let depth = 0;
+  let first = open + 1;
+
+  for (let cursor = open + 1; cursor <= close; cursor += 1) {
+    const { type, value } = tokens[cursor];
+    if (type === "punct" && "([{".includes(value)) depth += 1;
+    if (type === "punct" && ")]}".includes(value) && cursor !== close) depth -= 1;
+    if ((cursor === close || (depth === 0 && value === ",")) && type === "punct") {
+      if (cursor > first) {
+        const start = tokens[first].start;
+        const end = tokens[cursor - 1].end;
+        args.push({ start, end, text: source.slice(start, end), tokens: [first, cursor - 1] });
+      }
+      first = cursor + 1;
+    }
+  }
+  return args;
+}
+
+/** Value of a string or substitution-free template token, else undefined. */
+export function literalValue(token) {
+  if (!token) return undefined;
+  if (token.type === "string") {
+    const body = token.value.slice(1, -1);
+    try {
+      return JSON.parse(`"${body.replace(/\\'/g, "'").replace(/(?<!\\)"/g, '\\"')}"`);
+    } catch {
+      return body;
+    }
+  }
+  if (token.type === "template" && !token.value.includes("${")) {
+    return token.value.slice(1, -1);
+  }
+  return undefined;
+}
+
+/**
+ * Find calls whose callee is a logger name, optionally followed by a member
+ * (`__debugLog(...)`, `__debugLog.span(...)`). `obj.__debugLog()` is ignored.
+ */
+export function findLoggerCalls(source, tokens, isLoggerName = (name) => LOGGER_NAME.test(name)) {
+  const calls = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (token.type !== "ident" || !isLoggerName(token.value)) continue;
+    if (tokens[index - 1]?.value === "." || tokens[index - 1]?.value === "?.") continue;
+
+    let callee = token.value;
+    let open = index + 1;
+    if (tokens[open]?.value === "." && tokens[open + 1]?.type === "ident") {
+      callee += `.${tokens[open + 1].value}`;
+      open += 2;
+    }
+    if (tokens[open]?.value !== "(") continue;
+
+    const close = matchBracket(tokens, open);
+    if (close === -1) continue;
+
+    calls.push({
+      args: splitArguments(source, tokens, open, close),
+      callee,
+      close,
+      end: tokens[close].end,
+      first: index,
+      line: token.line,
+      name: token.value,
+      open,
+      start: token.start,
+    });
+  }
+
+  return calls;
+}
+
+/** JS/TS files under a path (or the path itself if it is a file). */
+export function collectSourceFiles(path, files = []) {
+  const stats = statSync(path);
+  if (stats.isFile()) {
+    files.push(path);
+    return files;
+  }
+  for (const entry of readdirSync(path, { withFileTypes: true })) {
+    if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) {
+      collectSourceFiles(join(path, entry.name), files);
+    } else if (entry.isFile() && EXTENSIONS.has(extname(entry.name))) {
+      files.push(join(path, entry.name));
+    }
+  }
+  return files;
+}
@@ -0,0 +1,153 @@
+/**
+ * Redaction
+ *
+ * Scrubs secrets and personal data from entries before the collector stores
+ * them. Values under sensitive key names are replaced outright; every string
+ * in `message` and `data` is searched for tokens, API keys, emails and card
+ * numbers. The scrubbed paths are returned so the entry can record them.
+ */
+
+const MASK = "[REDACTED]";
+
+// Compared against key names lowercased with separators removed, so
+// `api_key`, `X-Api-Key` and `apiKey` all match. Suffixes catch `dbPassword`.
+const SENSITIVE_KEYS = new Set(["auth", "authorization", "cvv", "passphrase", "pwd", "ssn"]);
+const SENSITIVE_SUFFIXES = [
+  "apikey",
+  "cookie",
+  "creditcard",
+  "passwd",
+  "password",
+  "privatekey",
+  "secret",
+  "token",
+];
+
+const DETECTORS = [
+  { name: "bearer", pattern: /\b(?:Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi },
+  { name: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g },
+  {
+    name: "api-key",
+    pattern:
+      /\b(?:[spr]k_(?:live|test)_[A-Za-z0-9]{10,}|sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})/g,
+  },
+  { name: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  // Card networks use leading digits 2-6, which also keeps millisecond
+  // timestamps (currently starting with 1) from being mistaken for cards.
+  { name: "card", pattern: /\b[2-6](?:[ -]?\d){12,18}\b/g, check: passesLuhn },
+];
+
+function passesLuhn(text) {
+  const digits = text.replace(/\D/g, "");
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Build redaction rules from the environment. `DEBUG_REDACT=false` turns
+ * redaction off; `DEBUG_REDACT_KEYS` adds comma-separated key names and
+ * `DEBUG_REDACT_PATTERNS` whitespace-separated regular expressions. Throws on
+ * an invalid pattern.
+ */
+export function loadRedactionRules(env) {
+  if (["0", "false", "off"].includes(env.DEBUG_REDACT)) {
+    return null;
+  }
+  const keys = (env.DEBUG_REDACT_KEYS || "").split(",").map(normalizeKey).filter(Boolean);
+  const patterns = (env.DEBUG_REDACT_PATTERNS || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((source) => {
+      try {
+        return { name: "custom", pattern: new RegExp(source, "g") };
+      } catch (error) {
+        throw new Error(`Invalid DEBUG_REDACT_PATTERNS entry ${source}: ${error.message}`);
+      }
+    });
+  return { keys: new Set(keys), detectors: [...DETECTORS, ...patterns] };
+}
+
+function isSensitiveKey(key, rules) {
+  const name = normalizeKey(key);
+  return (
+    SENSITIVE_KEYS.has(name) ||
+    rules.keys.has(name) ||
+    SENSITIVE_SUFFIXES.some((suffix) => name.endsWith(suffix))
+  );
+}
+
+function scrubString(text, rules) {
+  let result = text;
+  for (const { name, pattern, check } of rules.detectors) {
+    result = result.replace(pattern, (match) =>
+      check && !check(match) ? match : `[REDACTED:${name}]`,
+    );
+  }
+  return result;
+}
+
+function scrub(value, path, rules, paths) {
+  if (typeof value === "string" || typeof value === "number") {
+    const text = String(value);
+    const result = scrubString(text, rules);
+    if (result === text) {
+      return value;
+    }
+    paths.push(path);
+    return result;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => scrub(item, `${path}[${index}]`, rules, paths));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}.${key}`;
+      let scrubbed;
+      if (isSensitiveKey(key, rules) && item !== null && item !== undefined && item !== "") {
+        scrubbed = MASK;
+        paths.push(itemPath);
+      } else {
+        scrubbed = scrub(item, itemPath, rules, paths);
+      }
+      // Define rather than assign, so a parsed "__proto__" key is copied as
+      // an own property instead of replacing the result's prototype.
+      Object.defineProperty(result, key, {
+        configurable: true,
+        enumerable: true,
+        value: scrubbed,
+        writable: true,
+      });
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Scrub an entry's `message` and `data` in place and return the paths that
+ * were changed (`message`, `data.user.password`, `data.items[0].email`).
+ */
+export function redactEntry(entry, rules) {
+  const paths = [];
+  if (!rules) {
+    return paths;
+  }
+  entry.message = scrub(entry.message, "message", rules, paths);
+  if (entry.data !== undefined) {
+    entry.data = scrub(entry.data, "data", rules, paths);
+  }
+  return paths;
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Manage Reproduction Runs
+ *
+ * Same as `debug-mode.mjs runs`; kept so existing invocations keep working.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["runs", ...process.argv.slice(2)]);
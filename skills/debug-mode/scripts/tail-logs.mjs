@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Tail Debug Logs
+ *
+ * Same as `debug-mode.mjs tail`; kept so existing invocations keep working.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["tail", ...process.argv.slice(2)]);
@@ -0,0 +1,85 @@
+/**
+ * Assertion Verdicts
+ *
+ * `__debugAssert(location, hypothesisId, condition, expectation, data)` logs
+ * an entry with an `assertion: { passed, expectation }` field. The condition
+ * states what correct code guarantees at that point, so a failed assertion is
+ * evidence for the hypothesis that it breaks there. This module totals the
+ * results per hypothesis and suggests a verdict in the vocabulary of the
+ * hypothesis registry:
+ *
+ * - CONFIRMED: at least one assertion failed.
+ * - REJECTED: every assertion passed and the hypothesis logged no errors.
+ * - INCONCLUSIVE: every assertion passed but the hypothesis logged errors, so
+ *   the assertions probably check the wrong thing.
+ *
+ * Each suggestion lists the entries behind it.
+ */
+
+function describeEntry(entry) {
+  return {
+    data: entry.data ?? null,
+    expectation: entry.assertion?.expectation ?? null,
+    level: entry.level ?? "info",
+    location: entry.location,
+    message: entry.message,
+    passed: entry.assertion ? Boolean(entry.assertion.passed) : null,
+    timestamp: entry.timestamp,
+  };
+}
+
+function suggest(failed, passed, errors) {
+  if (failed.length > 0) {
+    return {
+      evidence: failed,
+      reason: `${failed.length} of ${failed.length + passed.length} assertion(s) failed`,
+      status: "CONFIRMED",
+    };
+  }
+  if (errors.length > 0) {
+    return {
+      evidence: [...passed, ...errors],
+      reason: `all ${passed.length} assertion(s) passed, but ${errors.length} error(s) were logged`,
+      status: "INCONCLUSIVE",
+    };
+  }
+  return {
+    evidence: passed,
+    reason: `all ${passed.length} assertion(s) passed`,
+    status: "REJECTED",
+  };
+}
+
+/**
+ * Per-hypothesis assertion totals and a suggested verdict, for hypotheses
+ * with at least one assertion, sorted by hypothesis ID.
+ */
+export function suggestVerdicts(entries) {
+  const byHypothesis = new Map();
+  for (const entry of entries) {
+    if (!byHypothesis.has(entry.hypothesisId)) {
+      byHypothesis.set(entry.hypothesisId, { errors: [], failed: [], passed: [] });
+    }
+    const group = byHypothesis.get(entry.hypothesisId);
+    if (entry.assertion && typeof entry.assertion === "object") {
+      (entry.assertion.passed ? group.passed : group.failed).push(describeEntry(entry));
+    } else if (entry.level === "error") {
+      group.errors.push(describeEntry(entry));
+    }
+  }
+
+  return [...byHypothesis]
+    .filter(([, group]) => group.failed.length + group.passed.length > 0)
+    .sort(([left], [right]) => String(left).localeCompare(String(right)))
+    .map(([hypothesisId, { errors, failed, passed }]) => {
+      const { evidence, reason, status } = suggest(failed, passed, errors);
+      return {
+        evidence,
+        failed: failed.length,
+        hypothesisId,
+        passed: passed.length,
+        reason,
+        status,
+      };
+    });
+}
@@ -0,0 +1,817 @@
+/**
+ * analyze - parse the debug log and summarize it by hypothesis.
+ *
+ * --inventory scans the given paths (default: the working directory) for
+ * logger call sites and reports which of them fired, never fired, or fired
+ * under a different location string.
+ *
+ * Entries under the reserved UNCAUGHT hypothesis (errors the loggers captured
+ * on their own) are reported in their own section, with the last entry their
+ * process logged before them, instead of as a hypothesis. Console output
+ * forwarded under CONSOLE is summarized like a hypothesis, but labeled as
+ * console output.
+ *
+ * Hypotheses with `__debugAssert` entries get a suggested verdict from their
+ * assertion results, with the entries behind it (see assertion-verdicts.mjs).
+ *
+ * --baseline <snapshot> compares the selected entries with a snapshot taken
+ * before a fix (see fix-verification.mjs) and ends with a PASS or FAIL
+ * verdict; the command exits with 1 on FAIL.
+ *
+ * --format mermaid prints a sequence diagram and --format timeline a text
+ * swimlane view of the selected entries. --lanes picks what each lane is:
+ * location (default), session, process or trace. With --json the rendered
+ * view is printed as `{ format, lanes, output }`.
+ */
+
+import { join } from "node:path";
+import { suggestVerdicts } from "../assertion-verdicts.mjs";
+import { EXIT_FAILURE, EXIT_USAGE, cliError, printJson } from "../cli.mjs";
+import { compareEntries } from "../compare-logs.mjs";
+import { orderEntries } from "../event-order.mjs";
+import { verifyFix } from "../fix-verification.mjs";
+import { CONSOLE_HYPOTHESIS, UNCAUGHT_HYPOTHESIS, loadHypotheses } from "../hypothesis-store.mjs";
+import {
+  crossReference,
+  describeLocation,
+  scanInstrumentation,
+} from "../instrumentation-inventory.mjs";
+import { readLogEntries } from "../log-files.mjs";
+import { loadRuns, resolveRun } from "../run-store.mjs";
+import { LANE_KEYS, renderMermaid, renderTimeline } from "../sequence-views.mjs";
+import { loadSnapshot, validateSnapshotName } from "../snapshot-store.mjs";
+import { analyzeSpans } from "../span-stats.mjs";
+import { groupByTrace } from "../trace-groups.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const HYPOTHESES_FILE = join(DEBUG_DIR, "hypotheses.json");
+const SNAPSHOTS_DIR = join(DEBUG_DIR, "snapshots");
+
+const FORMATS = ["text", "mermaid", "timeline"];
+// Traces and entries per trace printed in text output unless --trace is given.
+const MAX_TRACES = 10;
+const MAX_TRACE_ENTRIES = 20;
+// Stack lines printed per uncaught error in text output.
+const MAX_STACK_LINES = 4;
+// Evidence entries printed per suggested verdict in text output.
+const MAX_EVIDENCE = 10;
+
+export const usage = [
+  "analyze [--hypothesis <id>] [--run <run>] [--trace <id>]",
+  "analyze --inventory [paths...]",
+  "analyze --compare <runA> <runB>",
+  "analyze --baseline <snapshot> [--run <run>] [--hypothesis <id>]",
+  "analyze --format mermaid|timeline [--lanes location|session|process|trace]",
+];
+export const options = {
+  hypothesis: { type: "string", short: "h", value: "<id>", description: "Only this hypothesis" },
+  run: { type: "string", value: "<run>", description: "Only this run (id or name)" },
+  trace: { type: "string", value: "<id>", description: "Only this trace, with all its entries" },
+  inventory: { type: "boolean", description: "Cross-reference logger call sites in the paths" },
+  compare: { type: "boolean", description: "Diff two runs" },
+  baseline: { type: "string", value: "<name>", description: "Verify a fix against a snapshot" },
+  format: { type: "string", value: "<format>", description: `One of ${FORMATS.join(", ")}` },
+  lanes: { type: "string", value: "<key>", description: "Lanes for mermaid and timeline views" },
+};
+
+const colors = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+};
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(2)}s`;
+  const mins = Math.floor(ms / 60000);
+  const secs = ((ms % 60000) / 1000).toFixed(1);
+  return `${mins}m ${secs}s`;
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  const hh = date.getHours().toString().padStart(2, "0");
+  const mm = date.getMinutes().toString().padStart(2, "0");
+  const ss = date.getSeconds().toString().padStart(2, "0");
+  const ms = date.getMilliseconds().toString().padStart(3, "0");
+  return `${hh}:${mm}:${ss}.${ms}`;
+}
+
+function groupLabel(hypothesisId) {
+  return hypothesisId === CONSOLE_HYPOTHESIS ? "Console output" : `Hypothesis ${hypothesisId}`;
+}
+
+function resolveRunId(ref) {
+  return resolveRun(loadRuns(RUNS_FILE), ref)?.id ?? ref;
+}
+
+function filterEntries(entries, { hypothesis, run, trace }) {
+  return entries.filter(
+    (entry) =>
+      (!hypothesis || entry.hypothesisId === hypothesis) &&
+      (!run || entry.runId === run) &&
+      (!trace || entry.traceId === trace),
+  );
+}
+
+function analyzeEntries(entries, filterHypothesis) {
+  const analysis = {
+    errors: [],
+    hypotheses: {},
+    redacted: 0,
+    timeRange: { duration: 0, first: null, last: null },
+    total: 0,
+    uncaught: [],
+  };
+  // Last instrumented entry per process, for context on uncaught errors.
+  const lastLogged = new Map();
+
+  for (const entry of entries) {
+    if (filterHypothesis && entry.hypothesisId !== filterHypothesis) {
+      continue;
+    }
+
+    analysis.total += 1;
+
+    const timestamp = entry.timestamp || Date.now();
+    if (!analysis.timeRange.first || timestamp < analysis.timeRange.first) {
+      analysis.timeRange.first = timestamp;
+    }
+    if (!analysis.timeRange.last || timestamp > analysis.timeRange.last) {
+      analysis.timeRange.last = timestamp;
+    }
+
+    const hypothesisId = entry.hypothesisId;
+    if (hypothesisId === UNCAUGHT_HYPOTHESIS) {
+      analysis.uncaught.push({
+        context: entry.data?.context ?? null,
+        kind: entry.data?.kind ?? null,
+        lastLogged: lastLogged.get(entry.processId) ?? null,
+        location: entry.location,
+        message: entry.message,
+        processId: entry.processId ?? null,
+        stack: entry.data?.stack ?? null,
+        timestamp,
+        traceId: entry.traceId ?? null,
+      });
+      continue;
+    }
+    lastLogged.set(entry.processId, {
+      hypothesisId,
+      location: entry.location,
+      message: entry.message,
+    });
+
+    if (!analysis.hypotheses[hypothesisId]) {
+      analysis.hypotheses[hypothesisId] = {
+        count: 0,
+        errors: [],
+        firstTimestamp: timestamp,
+        lastTimestamp: timestamp,
+        levels: {},
+        locations: {},
+        redacted: 0,
+      };
+    }
+
+    const hypothesis = analysis.hypotheses[hypothesisId];
+    hypothesis.count += 1;
+
+    if (timestamp < hypothesis.firstTimestamp) hypothesis.firstTimestamp = timestamp;
+    if (timestamp > hypothesis.lastTimestamp) hypothesis.lastTimestamp = timestamp;
+
+    const level = entry.level || "info";
+    hypothesis.levels[level] = (hypothesis.levels[level] || 0) + 1;
+    hypothesis.locations[entry.location] = (hypothesis.locations[entry.location] || 0) + 1;
+
+    if (entry.redacted?.length > 0) {
+      analysis.redacted += 1;
+      hypothesis.redacted += 1;
+    }
+
+    if (level === "error") {
+      const errorInfo = {
+        data: entry.data,
+        location: entry.location,
+        message: entry.message,
+        timestamp,
+      };
+      hypothesis.errors.push(errorInfo);
+      analysis.errors.push({ ...errorInfo, hypothesisId });
+    }
+  }
+
+  if (analysis.timeRange.first && analysis.timeRange.last) {
+    analysis.timeRange.duration = analysis.timeRange.last - analysis.timeRange.first;
+  }
+
+  return analysis;
+}
+
+function outputText(analysis, options) {
+  console.log(`${colors.bold}=== Debug Log Analysis ===${colors.reset}`);
+  console.log(`Total events: ${analysis.total}`);
+
+  if (analysis.timeRange.first) {
+    console.log(
+      `Time range: ${formatTime(analysis.timeRange.first)} - ` +
+        `${formatTime(analysis.timeRange.last)} ` +
+        `(${formatDuration(analysis.timeRange.duration)})`,
+    );
+  }
+  if (analysis.redacted > 0) {
+    console.log(`Redacted: ${analysis.redacted} entries had secrets or personal data scrubbed`);
+  }
+  console.log();
+
+  const sortedHypotheses = Object.keys(analysis.hypotheses).sort();
+
+  for (const hypothesisId of sortedHypotheses) {
+    const hypothesis = analysis.hypotheses[hypothesisId];
+    const status = hypothesis.status ? ` [${hypothesis.status}]` : "";
+
+    console.log(
+      `${colors.cyan}--- ${groupLabel(hypothesisId)} (${hypothesis.count} events)${status} ---${colors.reset}`,
+    );
+    if (hypothesis.description) {
+      console.log(`${colors.dim}${hypothesis.description}${colors.reset}`);
+    }
+
+    const levelParts = Object.entries(hypothesis.levels).map(([level, count]) => {
+      const color = level === "error" ? colors.red : level === "warn" ? colors.yellow : "";
+      return `${color}${count} ${level}${color ? colors.reset : ""}`;
+    });
+    console.log(`Levels: ${levelParts.join(", ")}`);
+    if (hypothesis.redacted > 0) {
+      console.log(`${colors.dim}Redacted: ${hypothesis.redacted} entries${colors.reset}`);
+    }
+
+    console.log("Locations:");
+    const sortedLocations = Object.entries(hypothesis.locations).sort(
+      (left, right) => right[1] - left[1],
+    );
+    for (const [location, count] of sortedLocations) {
+      console.log(`  - ${location} (${count} events)`);
+    }
+
+    if (hypothesis.errors.length > 0) {
+      console.log(`${colors.red}Errors:${colors.reset}`);
+      for (const error of hypothesis.errors) {
+        console.log(
+          `  ${colors.gray}[${formatTime(error.timestamp)}]${colors.reset} ${error.location}`,
+        );
+        console.log(`    ${colors.red}${error.message}${colors.reset}`);
+        if (error.data) {
+          const data = typeof error.data === "string" ? error.data : JSON.stringify(error.data);
+          console.log(`    ${colors.dim}data: ${data}${colors.reset}`);
+        }
+      }
+    } else {
+      console.log(`${colors.green}Errors: None${colors.reset}`);
+    }
+
+    console.log();
+  }
+
+  if (analysis.inventory) {
+    outputInventory(analysis.inventory);
+  }
+
+  for (const hypothesis of analysis.unlogged) {
+    console.log(
+      `${colors.cyan}--- Hypothesis ${hypothesis.id} (0 events) [${hypothesis.status}] ---${colors.reset}`,
+    );
+    console.log(`${colors.dim}${hypothesis.description}${colors.reset}`);
+    console.log(`${colors.yellow}No events logged for this hypothesis.${colors.reset}`);
+    console.log();
+  }
+
+  outputAssertions(analysis.assertions, analysis.hypotheses);
+  outputUncaught(analysis.uncaught);
+  outputSpans(analysis.spans);
+  outputTraces(analysis.traces, Boolean(options.trace));
+  outputOrdering(analysis.ordering);
+
+  console.log(`${colors.bold}=== Summary ===${colors.reset}`);
+
+  for (const suggestion of analysis.assertions) {
+    console.log(
+      `${groupLabel(suggestion.hypothesisId)}: suggested ${suggestion.status} - ${suggestion.reason}.`,
+    );
+  }
+  if (analysis.uncaught.length > 0) {
+    const [first] = analysis.uncaught;
+    console.log(
+      `${analysis.uncaught.length} uncaught error(s), first "${first.message}" at ` +
+        `${first.location} - likely root cause.`,
+    );
+  }
+  if (analysis.errors.length > 0) {
+    const errorsByHypothesis = {};
+    for (const error of analysis.errors) {
+      errorsByHypothesis[error.hypothesisId] = (errorsByHypothesis[error.hypothesisId] || 0) + 1;
+    }
+
+    const ranked = Object.entries(errorsByHypothesis).sort((left, right) => right[1] - left[1]);
+    for (const [hypothesisId, count] of ranked) {
+      console.log(`${groupLabel(hypothesisId)} has ${count} error(s) - likely root cause.`);
+    }
+  } else if (analysis.total === 0) {
+    console.log("No log entries found.");
+  } else if (analysis.uncaught.length === 0) {
+    console.log("No errors found in collected logs.");
+  }
+
+  const silent = analysis.inventory?.filter((site) => site.status !== "hit") ?? [];
+  if (silent.length > 0) {
+    console.log(`${silent.length} instrumentation site(s) never fired as written - see coverage.`);
+  }
+  if (analysis.spans.unclosed.length > 0) {
+    console.log(
+      `${analysis.spans.unclosed.length} span(s) never finished - possible hang, timeout or missing end().`,
+    );
+  }
+  if (analysis.ordering.outOfOrder.length > 0 || analysis.ordering.skewed.length > 0) {
+    console.log("Arrival order or clocks were unreliable - events are shown in emission order.");
+  }
+}
+
+function outputAssertions(assertions, hypotheses) {
+  if (assertions.length === 0) {
+    return;
+  }
+
+  const statusColors = {
+    CONFIRMED: colors.red,
+    REJECTED: colors.green,
+    INCONCLUSIVE: colors.yellow,
+  };
+  console.log(`${colors.bold}=== Assertions ===${colors.reset}`);
+  for (const suggestion of assertions) {
+    const { evidence, hypothesisId, status } = suggestion;
+    const recorded = hypotheses[hypothesisId]?.status;
+    const color = statusColors[status];
+    console.log(
+      `${colors.cyan}${groupLabel(hypothesisId)}${colors.reset}: ${suggestion.failed} failed, ` +
+        `${suggestion.passed} passed - suggested ${color}${status}${colors.reset}` +
+        (recorded ? ` ${colors.dim}(recorded: ${recorded})${colors.reset}` : ""),
+    );
+    for (const entry of evidence.slice(0, MAX_EVIDENCE)) {
+      const outcome =
+        entry.passed === null
+          ? `${colors.red}error${colors.reset} ${entry.message}`
+          : entry.passed
+            ? `${colors.green}passed${colors.reset} ${entry.expectation}`
+            : `${colors.red}FAILED${colors.reset} ${entry.expectation}`;
+      console.log(
+        `  ${colors.gray}[${formatTime(entry.timestamp)}]${colors.reset} ${entry.location} ${outcome}`,
+      );
+      if (entry.data !== null && entry.passed !== true) {
+        const data = typeof entry.data === "string" ? entry.data : JSON.stringify(entry.data);
+        console.log(`    ${colors.dim}data: ${data}${colors.reset}`);
+      }
+    }
+    if (evidence.length > MAX_EVIDENCE) {
+      console.log(`  ... and ${evidence.length - MAX_EVIDENCE} more (--json lists them all)`);
+    }
+    if (recorded !== status) {
+      console.log(
+        `  ${colors.dim}record it: debug-mode.mjs hypotheses verdict ${hypothesisId} ${status} "<note>"${colors.reset}`,
+      );
+    }
+  }
+  console.log();
+}
+
+function outputUncaught(uncaught) {
+  if (uncaught.length === 0) {
+    return;
+  }
+
+  console.log(`${colors.bold}=== Uncaught Errors ===${colors.reset}`);
+  for (const error of uncaught) {
+    const kind = error.kind ? ` ${colors.dim}(${error.kind})${colors.reset}` : "";
+    console.log(
+      `  ${colors.gray}[${formatTime(error.timestamp)}]${colors.reset} ${error.location}${kind}`,
+    );
+    console.log(`    ${colors.red}${error.message}${colors.reset}`);
+    const frames = (error.stack ?? "")
+      .split("\n")
+      .filter((line) => /^\s*at |@/.test(line))
+      .slice(0, MAX_STACK_LINES);
+    for (const frame of frames) {
+      console.log(`    ${colors.dim}${frame.trim()}${colors.reset}`);
+    }
+    if (error.context?.url) {
+      console.log(`    ${colors.dim}page: ${error.context.url}${colors.reset}`);
+    }
+    if (error.lastLogged) {
+      const { hypothesisId, location, message } = error.lastLogged;
+      console.log(`    last logged before it: [${hypothesisId}] ${location}: ${message}`);
+    }
+  }
+  console.log();
+}
+
+function outputSpans({ overlapping, stats, unclosed }) {
+  if (stats.length === 0 && unclosed.length === 0) {
+    return;
+  }
+
+  console.log(`${colors.bold}=== Spans ===${colors.reset}`);
+  for (const span of stats) {
+    const errors = span.errors > 0 ? ` ${colors.red}(${span.errors} failed)${colors.reset}` : "";
+    console.log(
+      `  ${colors.cyan}${span.name}${colors.reset} [${span.hypothesisId}] ${span.location} - ` +
+        `${span.count} calls, min ${formatDuration(span.minMs)}, p50 ${formatDuration(span.p50Ms)}, ` +
+        `p95 ${formatDuration(span.p95Ms)}, max ${formatDuration(span.maxMs)}${errors}`,
+    );
+  }
+  if (unclosed.length > 0) {
+    console.log(`${colors.yellow}Never finished:${colors.reset}`);
+    for (const span of unclosed) {
+      console.log(
+        `  ${colors.gray}[${formatTime(span.timestamp)}]${colors.reset} ${span.name} ` +
+          `[${span.hypothesisId}] ${span.location}`,
+      );
+    }
+  }
+  if (overlapping.length > 0) {
+    console.log("Overlapping:");
+    for (const { count, spans } of overlapping) {
+      const label = spans[0] === spans[1] ? `${spans[0]} with itself` : spans.join(" with ");
+      console.log(`  ${label} (${count}x)`);
+    }
+  }
+  console.log();
+}
+
+function outputTraces(traces, showAll) {
+  if (traces.length === 0) {
+    return;
+  }
+
+  console.log(`${colors.bold}=== Traces ===${colors.reset}`);
+  const shown = showAll ? traces : traces.slice(-MAX_TRACES);
+  if (shown.length < traces.length) {
+    console.log(
+      `${colors.dim}${traces.length - shown.length} earlier traces not shown ` +
+        `(use --trace <id> or --json)${colors.reset}`,
+    );
+  }
+
+  for (const trace of shown) {
+    const errors =
+      trace.errors > 0 ? ` ${colors.red}(${trace.errors} error(s))${colors.reset}` : "";
+    console.log(
+      `${colors.cyan}Trace ${trace.traceId}${colors.reset} - ${trace.entries.length} entries ` +
+        `across ${trace.processes.length} process(es), ${formatDuration(trace.durationMs)} ` +
+        `[${trace.hypotheses.join(", ")}]${errors}`,
+    );
+
+    const entries = showAll ? trace.entries : trace.entries.slice(0, MAX_TRACE_ENTRIES);
+    for (const entry of entries) {
+      const offset = trace.first === null ? "" : `+${entry.timestamp - trace.first}ms`;
+      const color =
+        entry.level === "error" ? colors.red : entry.level === "warn" ? colors.yellow : "";
+      console.log(
+        `  ${colors.gray}${offset.padStart(8)} ${entry.processId ?? "-"}${colors.reset} ` +
+          `${color}${entry.hypothesisId} ${entry.location}: ${entry.message}${color ? colors.reset : ""}`,
+      );
+    }
+    if (entries.length < trace.entries.length) {
+      console.log(`  ... and ${trace.entries.length - entries.length} more`);
+    }
+  }
+  console.log();
+}
+
+function outputOrdering({ outOfOrder, skewed }) {
+  if (outOfOrder.length === 0 && skewed.length === 0) {
+    return;
+  }
+
+  console.log(`${colors.bold}=== Event Ordering ===${colors.reset}`);
+  if (outOfOrder.length > 0) {
+    console.log(
+      `${colors.yellow}${outOfOrder.length} entries arrived before entries logged earlier ` +
+        `by the same process${colors.reset}`,
+    );
+    for (const entry of outOfOrder.slice(0, 10)) {
+      console.log(
+        `  ${colors.gray}[${formatTime(entry.timestamp)}] #${entry.seq} ${entry.processId}` +
+          `${colors.reset} ${entry.hypothesisId} ${entry.location}: ${entry.message}`,
+      );
+    }
+    if (outOfOrder.length > 10) {
+      console.log(`  ... and ${outOfOrder.length - 10} more`);
+    }
+  }
+  for (const item of skewed) {
+    const direction = item.skewMs > 0 ? "behind" : "ahead of";
+    console.log(
+      `${colors.yellow}Process ${item.processId} clock is ${Math.abs(item.skewMs)}ms ${direction} ` +
+        `the collector's (${item.entries} entries) - adjusted${colors.reset}`,
+    );
+  }
+  console.log();
+}
+
+function outputInventory(sites) {
+  console.log(`${colors.bold}=== Instrumentation Coverage ===${colors.reset}`);
+  if (sites.length === 0) {
+    console.log("No instrumentation sites found in source.");
+    console.log();
+    return;
+  }
+
+  const byHypothesis = {};
+  for (const site of sites) {
+    (byHypothesis[site.hypothesisId ?? "?"] ??= []).push(site);
+  }
+
+  for (const hypothesisId of Object.keys(byHypothesis).sort()) {
+    const group = byHypothesis[hypothesisId];
+    const hit = group.filter((site) => site.status === "hit").length;
+    console.log(
+      `${colors.cyan}Hypothesis ${hypothesisId}: ${hit}/${group.length} sites hit${colors.reset}`,
+    );
+
+    for (const site of group) {
+      const where = `${colors.gray}${site.file}:${site.line}${colors.reset}`;
+      const message = site.message === null ? "" : ` ${colors.dim}"${site.message}"${colors.reset}`;
+      const label = `${where} ${describeLocation(site)}${message}`;
+      if (site.status === "hit") {
+        console.log(`  ${colors.green}hit${colors.reset}        ${label} (${site.hits}x)`);
+      } else if (site.status === "location-mismatch") {
+        console.log(`  ${colors.yellow}mismatch${colors.reset}   ${label}`);
+        console.log(`    logged as: ${site.loggedLocations.join(", ")}`);
+      } else {
+        console.log(`  ${colors.red}never hit${colors.reset}  ${label}`);
+      }
+    }
+    console.log();
+  }
+}
+
+function formatValues(values) {
+  return values.length > 5 ? `${values.slice(0, 5).join(", ")}, ...` : values.join(", ");
+}
+
+function outputValueChanges(values) {
+  console.log(`${colors.cyan}--- Data Values ---${colors.reset}`);
+  if (!values.length) {
+    console.log("  No changes");
+  }
+  for (const item of values) {
+    console.log(`  ${item.location} ${colors.dim}"${item.message}"${colors.reset}`);
+    console.log(
+      `    ${item.path}: ${formatValues(item.before)} ${colors.bold}->${colors.reset} ` +
+        formatValues(item.after),
+    );
+  }
+}
+
+function outputComparison(comparison, [runA, runB]) {
+  console.log(`${colors.bold}=== Run Comparison: ${runA} -> ${runB} ===${colors.reset}`);
+  console.log(`Total events: ${comparison.totals.before} -> ${comparison.totals.after}`);
+  console.log();
+
+  console.log(`${colors.cyan}--- Locations ---${colors.reset}`);
+  const { locations } = comparison;
+  if (!locations.appeared.length && !locations.disappeared.length && !locations.changed.length) {
+    console.log("  No changes");
+  }
+  for (const item of locations.appeared) {
+    console.log(`  ${colors.green}+ ${item.location}${colors.reset} (${item.after} events)`);
+  }
+  for (const item of locations.disappeared) {
+    console.log(`  ${colors.red}- ${item.location}${colors.reset} (${item.before} events)`);
+  }
+  for (const item of locations.changed) {
+    console.log(`  ~ ${item.location} (${item.before} -> ${item.after} events)`);
+  }
+  console.log();
+
+  console.log(`${colors.cyan}--- Errors ---${colors.reset}`);
+  const { errors } = comparison;
+  if (!errors.appeared.length && !errors.disappeared.length && !errors.changed.length) {
+    console.log("  No changes");
+  }
+  for (const item of errors.disappeared) {
+    console.log(`  ${colors.green}- ${item.location}: ${item.message}${colors.reset} (gone)`);
+  }
+  for (const item of errors.appeared) {
+    console.log(`  ${colors.red}+ ${item.location}: ${item.message}${colors.reset} (new)`);
+  }
+  for (const item of errors.changed) {
+    console.log(`  ~ ${item.location}: ${item.message} (${item.before} -> ${item.after})`);
+  }
+  console.log();
+
+  console.log(`${colors.cyan}--- Levels ---${colors.reset}`);
+  if (!comparison.levels.length) {
+    console.log("  No changes");
+  }
+  for (const item of comparison.levels) {
+    console.log(`  ${item.level}: ${item.before} -> ${item.after}`);
+  }
+  console.log();
+
+  outputValueChanges(comparison.values);
+}
+
+function outputItems(items, color, note) {
+  for (const item of items) {
+    const counts = `${item.before} -> ${item.after}`;
+    console.log(`  ${color}${item.location}: ${item.message}${colors.reset} (${note}, ${counts})`);
+  }
+}
+
+function outputVerification(report, name) {
+  console.log(`${colors.bold}=== Fix Verification: ${name} -> now ===${colors.reset}`);
+  console.log(`Total events: ${report.totals.before} -> ${report.totals.after}`);
+  console.log();
+
+  for (const [title, key] of [
+    ["Errors", "errors"],
+    ["Failed Assertions", "assertions"],
+  ]) {
+    const { gone, remaining } = report[key];
+    console.log(`${colors.cyan}--- ${title} ---${colors.reset}`);
+    if (!gone.length && !remaining.length && !report[key].new.length) {
+      console.log("  None in either");
+    }
+    outputItems(gone, colors.green, "gone");
+    outputItems(remaining, colors.red, "still logged");
+    outputItems(report[key].new, colors.red, "new");
+    console.log();
+  }
+
+  console.log(`${colors.cyan}--- Execution Path ---${colors.reset}`);
+  const { appeared, changed, disappeared, divergesAt } = report.paths;
+  if (divergesAt) {
+    const step = divergesAt.index + 1;
+    console.log(
+      `  Diverges at step ${step}: ${divergesAt.before ?? "(end)"} -> ${divergesAt.after ?? "(end)"}`,
+    );
+  } else {
+    console.log("  Same locations in the same order");
+  }
+  for (const item of appeared) {
+    console.log(`  ${colors.green}+ ${item.location}${colors.reset} (${item.after} events)`);
+  }
+  for (const item of disappeared) {
+    console.log(`  ${colors.red}- ${item.location}${colors.reset} (${item.before} events)`);
+  }
+  for (const item of changed) {
+    console.log(`  ~ ${item.location} (${item.before} -> ${item.after} events)`);
+  }
+  console.log();
+
+  outputValueChanges(report.values);
+  console.log();
+
+  const { reasons, status } = report.verdict;
+  const color = status === "PASS" ? colors.green : colors.red;
+  console.log(`${colors.bold}=== Verdict ===${colors.reset}`);
+  console.log(
+    `Fix verification against ${name}: ${color}${status}${colors.reset} - ${reasons.join("; ")}.`,
+  );
+}
+
+function analyze(entries, options) {
+  const run = options.run ? resolveRunId(options.run) : null;
+  const ordering = orderEntries(
+    filterEntries(entries, { hypothesis: options.hypothesis, run, trace: options.trace }),
+  );
+  const selected = ordering.entries;
+  const analysis = analyzeEntries(selected, options.hypothesis);
+  analysis.ordering = {
+    outOfOrder: ordering.outOfOrder.map(
+      ({ hypothesisId, location, message, processId, seq, timestamp }) => ({
+        hypothesisId,
+        location,
+        message,
+        processId,
+        seq,
+        timestamp,
+      }),
+    ),
+    skewed: ordering.skewed,
+  };
+  analysis.spans = analyzeSpans(selected);
+  analysis.assertions = suggestVerdicts(selected);
+  analysis.traces = groupByTrace(selected);
+
+  // Attach registered descriptions and verdicts; list registered hypotheses
+  // that produced no events at all.
+  analysis.unlogged = [];
+  for (const registered of loadHypotheses(HYPOTHESES_FILE).hypotheses) {
+    const hypothesis = analysis.hypotheses[registered.id];
+    if (hypothesis) {
+      hypothesis.description = registered.description;
+      hypothesis.status = registered.status;
+    } else if (!options.hypothesis || registered.id === options.hypothesis) {
+      const { id, description, status } = registered;
+      analysis.unlogged.push({ id, description, status });
+    }
+  }
+
+  if (options.inventory) {
+    const sites = scanInstrumentation(options.paths).filter(
+      (site) => !options.hypothesis || site.hypothesisId === options.hypothesis,
+    );
+    analysis.inventory = crossReference(sites, selected);
+  }
+
+  return analysis;
+}
+
+export async function run(values, positionals) {
+  const options = { format: "text", lanes: "location", ...values };
+  if (!FORMATS.includes(options.format)) {
+    throw cliError(
+      `Unknown --format ${options.format}; expected ${FORMATS.join(", ")}`,
+      EXIT_USAGE,
+    );
+  }
+  if (!Object.hasOwn(LANE_KEYS, options.lanes)) {
+    throw cliError(
+      `Unknown --lanes ${options.lanes}; expected ${Object.keys(LANE_KEYS).join(", ")}`,
+      EXIT_USAGE,
+    );
+  }
+  if (positionals.length > 0 && !options.compare && !options.inventory) {
+    throw cliError(`Unexpected argument: ${positionals[0]}`, EXIT_USAGE);
+  }
+  const entries = readLogEntries(LOG_FILE);
+
+  if (options.baseline !== undefined) {
+    const invalid = validateSnapshotName(options.baseline);
+    if (invalid) {
+      throw cliError(invalid, EXIT_USAGE);
+    }
+    const snapshot = loadSnapshot(SNAPSHOTS_DIR, options.baseline);
+    if (!snapshot) {
+      throw cliError(`No snapshot named ${options.baseline}; save one with "snapshot save"`);
+    }
+    const run = options.run ? resolveRunId(options.run) : null;
+    const filter = { hypothesis: options.hypothesis, trace: options.trace };
+    const report = verifyFix(
+      orderEntries(filterEntries(snapshot.entries, filter)).entries,
+      orderEntries(filterEntries(entries, { ...filter, run })).entries,
+    );
+
+    if (options.json) {
+      printJson({ baseline: options.baseline, run, ...report });
+    } else {
+      outputVerification(report, options.baseline);
+    }
+    return report.verdict.status === "PASS" ? undefined : EXIT_FAILURE;
+  }
+
+  if (options.compare) {
+    if (positionals.length !== 2) {
+      throw cliError("Usage: analyze --compare <runA> <runB>", EXIT_USAGE);
+    }
+    const [runA, runB] = positionals.map(resolveRunId);
+    const comparison = compareEntries(
+      filterEntries(entries, { hypothesis: options.hypothesis, run: runA, trace: options.trace }),
+      filterEntries(entries, { hypothesis: options.hypothesis, run: runB, trace: options.trace }),
+    );
+
+    if (options.json) {
+      printJson({ runs: [runA, runB], ...comparison });
+    } else {
+      outputComparison(comparison, [runA, runB]);
+    }
+  } else if (options.format !== "text") {
+    const run = options.run ? resolveRunId(options.run) : null;
+    const { entries: ordered } = orderEntries(
+      filterEntries(entries, { hypothesis: options.hypothesis, run, trace: options.trace }),
+    );
+    const render = options.format === "mermaid" ? renderMermaid : renderTimeline;
+    const output = render(ordered, options.lanes);
+    if (options.json) {
+      printJson({ format: options.format, lanes: options.lanes, output });
+    } else {
+      console.log(output);
+    }
+  } else {
+    const paths = positionals.length > 0 ? positionals : [process.cwd()];
+    const analysis = analyze(entries, { ...options, paths });
+    if (options.json) {
+      printJson(analysis);
+    } else {
+      outputText(analysis, options);
+    }
+  }
+}
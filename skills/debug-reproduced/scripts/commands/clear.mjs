@@ -0,0 +1,30 @@
+/**
+ * clear - empty .debug/debug.log and delete its rotated segments.
+ */
+
+import { join } from "node:path";
+import { cliError, printJson } from "../cli.mjs";
+import { clearLog, logSegments } from "../log-files.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+
+export const usage = ["clear"];
+export const options = {};
+
+export async function run({ json }) {
+  const segments = logSegments(LOG_FILE).length;
+  if (segments > 0) {
+    try {
+      clearLog(LOG_FILE);
+    } catch (error) {
+      throw cliError(`Failed to clear logs: ${error.message}`);
+    }
+  }
+
+  if (json) {
+    printJson({ cleared: segments > 0, segments });
+  } else {
+    console.log(segments > 0 ? "Debug logs cleared" : "No log file to clear");
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * hypotheses - record each hypothesis's description, verdict, supporting
+ * evidence and verdict history in .debug/hypotheses.json.
+ *
+ * Talks to the running collector, or edits the file directly when the
+ * collector is stopped.
+ */
+
+import { join } from "node:path";
+import { EXIT_USAGE, cliError, printJson } from "../cli.mjs";
+import { collectorUrl } from "../collector-info.mjs";
+import {
+  STATUSES,
+  addHypothesis,
+  findHypothesis,
+  loadHypotheses,
+  saveHypotheses,
+  updateHypothesis,
+  validateHypothesis,
+  validateUpdate,
+} from "../hypothesis-store.mjs";
+import { readLogEntries } from "../log-files.mjs";
+import { loadRuns } from "../run-store.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const HYPOTHESES_FILE = join(DEBUG_DIR, "hypotheses.json");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const COLLECTOR_URL = collectorUrl(join(DEBUG_DIR, "collector.json"));
+
+export const usage = [
+  "hypotheses add <id> <description...>",
+  "hypotheses list",
+  "hypotheses show <id>",
+  "hypotheses describe <id> <description...>",
+  `hypotheses verdict <id> <${STATUSES.join("|")}> [note...]`,
+  "hypotheses evidence <id> <note...> [--timestamp <ms>] [--seq <n>]",
+];
+export const description =
+  "evidence --timestamp copies the log entry with that timestamp into the hypothesis; when\n" +
+  "several entries share the millisecond, pick one with --seq (its receivedSeq).";
+export const options = {
+  timestamp: {
+    type: "string",
+    value: "<ms>",
+    description: "Attach the log entry with this timestamp",
+  },
+  seq: {
+    type: "string",
+    value: "<n>",
+    description: "Attach the log entry with this receivedSeq",
+  },
+};
+
+const colors = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+};
+
+const statusColors = {
+  CONFIRMED: colors.green,
+  INCONCLUSIVE: colors.yellow,
+  OPEN: colors.cyan,
+  REJECTED: colors.red,
+};
+
+async function requestCollector(method, path, body) {
+  let response;
+  try {
+    response = await fetch(`${COLLECTOR_URL}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    return null;
+  }
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    // A proxy page, a plain-text 413/429 or an older collector.
+    throw cliError(
+      `Collector returned ${response.status} ${response.statusText} without a JSON body`,
+    );
+  }
+  if (!response.ok) {
+    throw cliError(result?.error ?? `Collector returned ${response.status}`);
+  }
+  return result;
+}
+
+// Apply a change through the collector, or straight to the file if it's down.
+async function mutate(method, path, body, applyLocally) {
+  const result = await requestCollector(method, path, body);
+  if (result) {
+    return result.hypothesis;
+  }
+  const state = loadHypotheses(HYPOTHESES_FILE);
+  let hypothesis;
+  try {
+    hypothesis = applyLocally(state, loadRuns(RUNS_FILE).current);
+  } catch (error) {
+    throw cliError(error.message);
+  }
+  saveHypotheses(HYPOTHESES_FILE, state);
+  return hypothesis;
+}
+
+async function listHypotheses() {
+  return (await requestCollector("GET", "/hypotheses")) ?? loadHypotheses(HYPOTHESES_FILE);
+}
+
+// The entry matching every given criterion. Entries logged in a burst can
+// share a millisecond, so a timestamp alone must match exactly one.
+function findLogEntry({ timestamp, seq }) {
+  const matches = readLogEntries(LOG_FILE).filter(
+    (entry) =>
+      (timestamp === null || entry.timestamp === timestamp) &&
+      (seq === null || entry.receivedSeq === seq),
+  );
+  const criteria = [
+    timestamp !== null && `timestamp ${timestamp}`,
+    seq !== null && `receivedSeq ${seq}`,
+  ].filter(Boolean);
+  if (matches.length === 0) {
+    throw cliError(`No log entry with ${criteria.join(" and ")}`);
+  }
+  if (matches.length > 1) {
+    const candidates = matches.map(
+      (entry) => `  ${entry.receivedSeq ?? "-"}  ${entry.location}: ${entry.message}`,
+    );
+    throw cliError(
+      [
+        `${matches.length} log entries have ${criteria.join(" and ")}; pick one with --seq:`,
+        ...candidates,
+      ].join("\n"),
+    );
+  }
+  return matches[0];
+}
+
+function formatStatus(status) {
+  return `${statusColors[status] ?? ""}${status}${colors.reset}`;
+}
+
+function printHypothesis(hypothesis, detailed) {
+  console.log(
+    `${colors.bold}${hypothesis.id}${colors.reset} [${formatStatus(hypothesis.status)}] ` +
+      hypothesis.description,
+  );
+  if (!detailed) {
+    return;
+  }
+
+  for (const item of hypothesis.history) {
+    const run = item.runId ? ` (${item.runId})` : "";
+    const note = item.note ? ` - ${item.note}` : "";
+    console.log(
+      `  ${colors.gray}${new Date(item.at).toLocaleTimeString()}${run}${colors.reset} ` +
+        `${formatStatus(item.status)}${note}`,
+    );
+  }
+  if (hypothesis.evidence.length > 0) {
+    console.log("  Evidence:");
+    for (const item of hypothesis.evidence) {
+      const entry = item.entry ? ` ${colors.dim}${item.entry.location}: ${item.entry.message}` : "";
+      console.log(`    - ${item.note}${entry}${colors.reset}`);
+    }
+  }
+}
+
+function buildUpdate(command, rest, selector) {
+  const text = rest.join(" ");
+  if (command === "describe") {
+    return { description: text };
+  }
+  if (command === "verdict") {
+    const [status, ...note] = rest;
+    if (status === undefined) {
+      throw cliError(
+        `Usage: hypotheses verdict <id> <${STATUSES.join("|")}> [note...]`,
+        EXIT_USAGE,
+      );
+    }
+    return { status: status.toUpperCase(), note: note.join(" ") || null };
+  }
+
+  const entry =
+    selector.timestamp === null && selector.seq === null ? null : findLogEntry(selector);
+  return { evidence: { note: text || null, ...(entry && { entry }) } };
+}
+
+export async function run({ json, seq, timestamp }, [command = "list", id, ...rest]) {
+  const print = (hypothesis, detailed) =>
+    json ? printJson(hypothesis) : printHypothesis(hypothesis, detailed);
+
+  if (command === "list") {
+    const state = await listHypotheses();
+    if (json) {
+      printJson(state);
+    } else if (state.hypotheses.length === 0) {
+      console.log("No hypotheses registered");
+    } else {
+      state.hypotheses.forEach((hypothesis) => printHypothesis(hypothesis, false));
+    }
+  } else if (command === "show") {
+    if (!id) throw cliError("Usage: hypotheses show <id>", EXIT_USAGE);
+    const hypothesis = findHypothesis(await listHypotheses(), id);
+    if (!hypothesis) throw cliError(`Unknown hypothesis: ${id}`);
+    print(hypothesis, true);
+  } else if (command === "add") {
+    const text = rest.join(" ");
+    if (!id || !text) throw cliError("Usage: hypotheses add <id> <description...>", EXIT_USAGE);
+    const input = { id, description: text };
+    const error = validateHypothesis(input);
+    if (error) throw cliError(error, EXIT_USAGE);
+    const hypothesis = await mutate("POST", "/hypotheses", input, (state, runId) =>
+      addHypothesis(state, input, runId),
+    );
+    print(hypothesis, false);
+  } else if (["describe", "verdict", "evidence"].includes(command)) {
+    if (!id) throw cliError(`Usage: hypotheses ${command} <id> ...`, EXIT_USAGE);
+    const selector = {
+      timestamp: timestamp === undefined ? null : Number(timestamp),
+      seq: seq === undefined ? null : Number(seq),
+    };
+    const update = buildUpdate(command, rest, selector);
+    const error = validateUpdate(update);
+    if (error) throw cliError(error, EXIT_USAGE);
+
+    const hypothesis = await mutate(
+      "PATCH",
+      `/hypotheses/${encodeURIComponent(id)}`,
+      update,
+      (state, runId) => updateHypothesis(state, id, update, runId),
+    );
+    print(hypothesis, command !== "describe");
+  } else {
+    throw cliError(`Unknown hypotheses command: ${command}`, EXIT_USAGE);
+  }
+}
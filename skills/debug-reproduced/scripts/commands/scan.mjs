@@ -0,0 +1,48 @@
+/**
+ * scan - list every `__debugLog`/`__d` call site with its file, line,
+ * location string and hypothesis ID.
+ */
+
+import { printJson } from "../cli.mjs";
+import { describeLocation, scanInstrumentation } from "../instrumentation-inventory.mjs";
+
+export const usage = ["scan [paths...]"];
+export const description = "Scans the working directory when no paths are given.";
+export const options = {};
+
+const colors = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+};
+
+export async function run({ json }, paths) {
+  const sites = scanInstrumentation(paths.length > 0 ? paths : undefined);
+
+  if (json) {
+    printJson(sites);
+  } else if (sites.length === 0) {
+    console.log("No instrumentation found");
+  } else {
+    const byHypothesis = {};
+    for (const site of sites) {
+      (byHypothesis[site.hypothesisId ?? "?"] ??= []).push(site);
+    }
+
+    for (const hypothesisId of Object.keys(byHypothesis).sort()) {
+      const group = byHypothesis[hypothesisId];
+      console.log(
+        `${colors.cyan}--- Hypothesis ${hypothesisId} (${group.length} sites) ---${colors.reset}`,
+      );
+      for (const site of group) {
+        const location = site.location ?? `${colors.dim}${describeLocation(site)}${colors.reset}`;
+        console.log(`  ${colors.gray}${site.file}:${site.line}${colors.reset} ${location}`);
+        console.log(`    ${colors.dim}${site.message ?? "(dynamic message)"}${colors.reset}`);
+      }
+      console.log();
+    }
+    console.log(`${sites.length} call site(s)`);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * snapshot - freeze the current log as a named baseline, or list baselines.
+ *
+ * A snapshot keeps the entries that show the bug after `clear` has emptied
+ * the log; `analyze --baseline <name>` then reports what a fix changed.
+ */
+
+import { join } from "node:path";
+import { EXIT_USAGE, cliError, printJson } from "../cli.mjs";
+import { readLogEntries } from "../log-files.mjs";
+import { loadRuns, resolveRun } from "../run-store.mjs";
+import {
+  listSnapshots,
+  loadSnapshot,
+  saveSnapshot,
+  validateSnapshotName,
+} from "../snapshot-store.mjs";
+
+const DEBUG_DIR = join(process.cwd(), ".debug");
+const LOG_FILE = join(DEBUG_DIR, "debug.log");
+const RUNS_FILE = join(DEBUG_DIR, "runs.json");
+const SNAPSHOTS_DIR = join(DEBUG_DIR, "snapshots");
+
+export const usage = ["snapshot save <name> [--run <run>] [--force]", "snapshot list"];
+export const description = "Snapshots are stored in .debug/snapshots and are not touched by clear.";
+export const options = {
+  run: { type: "string", value: "<run>", description: "Only entries from this run (id or name)" },
+  force: { type: "boolean", description: "Replace an existing snapshot with the same name" },
+};
+
+function save(name, { force, json, run }) {
+  const invalid = validateSnapshotName(name);
+  if (invalid) {
+    throw cliError(invalid, EXIT_USAGE);
+  }
+  if (!force && loadSnapshot(SNAPSHOTS_DIR, name)) {
+    throw cliError(`Snapshot ${name} already exists; pass --force to replace it`);
+  }
+
+  let runId = null;
+  if (run) {
+    runId = resolveRun(loadRuns(RUNS_FILE), run)?.id;
+    if (!runId) {
+      throw cliError(`No run named ${run}`);
+    }
+  }
+  const entries = readLogEntries(LOG_FILE).filter((entry) => !runId || entry.runId === runId);
+  if (entries.length === 0) {
+    throw cliError(runId ? `No entries logged in ${runId}` : "No log entries to snapshot");
+  }
+
+  const snapshot = saveSnapshot(SNAPSHOTS_DIR, name, entries, runId);
+  if (json) {
+    printJson({ ...snapshot, entries: entries.length });
+  } else {
+    console.log(
+      `Saved snapshot ${name} (${entries.length} entries${runId ? ` from ${runId}` : ""})`,
+    );
+  }
+}
+
+function list({ json }) {
+  const snapshots = listSnapshots(SNAPSHOTS_DIR);
+  if (json) {
+    printJson({ snapshots });
+  } else if (snapshots.length === 0) {
+    console.log("No snapshots saved");
+  } else {
+    for (const snapshot of snapshots) {
+      const run = snapshot.run ? `, ${snapshot.run}` : "";
+      const time = new Date(snapshot.createdAt).toLocaleTimeString();
+      console.log(`  ${snapshot.name} (${snapshot.entries} entries${run}, saved ${time})`);
+    }
+  }
+}
+
+export async function run(values, [command = "list", name]) {
+  if (command === "save") {
+    save(name, values);
+  } else if (command === "list") {
+    list(values);
+  } else {
+    throw cliError(`Unknown snapshot command: ${command}`, EXIT_USAGE);
+  }
+}
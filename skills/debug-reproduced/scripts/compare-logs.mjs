@@ -0,0 +1,132 @@
+/**
+ * Compare Debug Logs
+ *
+ * Diffs two sets of log entries (e.g. two reproduction runs): which locations,
+ * errors, levels and data values appeared, disappeared or changed.
+ */
+
+const MAX_DEPTH = 3;
+const ABSENT = "(absent)";
+
+function describeValue(value) {
+  if (value === undefined) return "undefined";
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (value && typeof value === "object") return "Object";
+  return JSON.stringify(value);
+}
+
+function flattenData(value, path, out, depth = 0) {
+  if (value && typeof value === "object" && !Array.isArray(value) && depth < MAX_DEPTH) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      out[path] = "{}";
+    }
+    for (const key of keys) {
+      flattenData(value[key], `${path}.${key}`, out, depth + 1);
+    }
+    return out;
+  }
+  out[path] = describeValue(value);
+  return out;
+}
+
+function pointKey(entry) {
+  return `${entry.location}\u0000${entry.message}`;
+}
+
+function splitPointKey(key) {
+  const [location, message] = key.split("\u0000");
+  return { location, message };
+}
+
+export function summarizeEntries(entries) {
+  const summary = { errors: {}, levels: {}, locations: {}, points: {}, total: 0 };
+
+  for (const entry of entries) {
+    summary.total += 1;
+
+    const level = entry.level || "info";
+    summary.levels[level] = (summary.levels[level] || 0) + 1;
+    summary.locations[entry.location] = (summary.locations[entry.location] || 0) + 1;
+
+    const key = pointKey(entry);
+    if (level === "error") {
+      summary.errors[key] = (summary.errors[key] || 0) + 1;
+    }
+
+    const values = (summary.points[key] ??= {});
+    for (const [path, value] of Object.entries(flattenData(entry.data ?? null, "data", {}))) {
+      (values[path] ??= new Set()).add(value);
+    }
+  }
+
+  return summary;
+}
+
+function diffCounts(before, after) {
+  const result = { appeared: [], changed: [], disappeared: [] };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!(key in before)) {
+      result.appeared.push({ key, after: after[key] });
+    } else if (!(key in after)) {
+      result.disappeared.push({ key, before: before[key] });
+    } else if (before[key] !== after[key]) {
+      result.changed.push({ key, before: before[key], after: after[key] });
+    }
+  }
+  return result;
+}
+
+function diffValues(before, after) {
+  const changed = [];
+
+  for (const key of Object.keys(before.points)) {
+    if (!(key in after.points)) continue;
+
+    const beforeValues = before.points[key];
+    const afterValues = after.points[key];
+    for (const path of new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)])) {
+      const left = [...(beforeValues[path] ?? [ABSENT])].sort();
+      const right = [...(afterValues[path] ?? [ABSENT])].sort();
+      if (left.join("\u0000") !== right.join("\u0000")) {
+        changed.push({ ...splitPointKey(key), path, before: left, after: right });
+      }
+    }
+  }
+
+  return changed;
+}
+
+export function compareEntries(beforeEntries, afterEntries) {
+  const before = summarizeEntries(beforeEntries);
+  const after = summarizeEntries(afterEntries);
+
+  const locations = diffCounts(before.locations, after.locations);
+  const errors = diffCounts(before.errors, after.errors);
+  const levels = diffCounts(before.levels, after.levels);
+
+  const withPoint = ({ key, ...rest }) => ({ ...splitPointKey(key), ...rest });
+  const withName =
+    (field) =>
+    ({ key, ...rest }) => ({ [field]: key, ...rest });
+
+  return {
+    errors: {
+      appeared: errors.appeared.map(withPoint),
+      changed: errors.changed.map(withPoint),
+      disappeared: errors.disappeared.map(withPoint),
+    },
+    levels: [...levels.appeared, ...levels.disappeared, ...levels.changed].map((item) => ({
+      level: item.key,
+      before: item.before ?? 0,
+      after: item.after ?? 0,
+    })),
+    locations: {
+      appeared: locations.appeared.map(withName("location")),
+      changed: locations.changed.map(withName("location")),
+      disappeared: locations.disappeared.map(withName("location")),
+    },
+    totals: { before: before.total, after: after.total },
+    values: diffValues(before, after),
+  };
+}
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+/**
+ * Debug Mode CLI
+ *
+ * Usage:
+ *   node ./scripts/debug-mode.mjs <command> [options]
+ *   node ./scripts/debug-mode.mjs <command> --help
+ *
+ * Commands: start, stop, status, clear, analyze, snapshot, tail, runs,
+ * hypotheses, scan, instrument and remove. Commands another skill ships run
+ * when that skill is installed alongside this one.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(process.argv.slice(2));
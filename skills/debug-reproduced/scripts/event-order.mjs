@@ -0,0 +1,119 @@
+/**
+ * Event Ordering
+ *
+ * Loggers stamp each entry with a per-process sequence number (`seq`), a
+ * high-resolution clock reading (`hrtime`, from performance.now()) and a
+ * `processId`; the collector adds `receivedSeq` and `receivedAt`. Entries are
+ * placed on one timeline by anchoring each process's hrtime to its wall clock,
+ * which breaks millisecond ties, and fall back to `timestamp` when the logger
+ * didn't send those fields.
+ */
+
+// Smallest receive delay per process beyond which its clock counts as skewed.
+// Local requests arrive within a few milliseconds, and buffered loggers flush
+// their most recent entry almost immediately.
+const SKEW_TOLERANCE_MS = 100;
+
+function median(values) {
+  const sorted = [...values].sort((left, right) => left - right);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Arrival order: collector receive time, then its receive sequence (which
+// restarts with the collector, so it only breaks ties within a millisecond).
+function compareArrival(left, right) {
+  return left.receivedAt - right.receivedAt || left.receivedSeq - right.receivedSeq;
+}
+
+function groupByProcess(entries) {
+  const processes = new Map();
+  for (const entry of entries) {
+    if (entry.processId === undefined) continue;
+    if (!processes.has(entry.processId)) {
+      processes.set(entry.processId, []);
+    }
+    processes.get(entry.processId).push(entry);
+  }
+  return processes;
+}
+
+// Entries that reached the collector before one the same process logged
+// earlier.
+function findOutOfOrder(group) {
+  const emitted = group
+    .filter((entry) => isNumber(entry.seq) && isNumber(entry.receivedAt))
+    .sort((left, right) => left.seq - right.seq);
+  const outOfOrder = [];
+  let latest = null;
+  for (const entry of emitted) {
+    if (latest && compareArrival(entry, latest) < 0) {
+      outOfOrder.push(entry);
+    } else {
+      latest = entry;
+    }
+  }
+  return outOfOrder;
+}
+
+/**
+ * Sort entries by the best available clock. Returns the sorted entries, the
+ * entries that arrived out of order, and processes whose clocks disagree with
+ * the collector's (`skewMs` > 0 means the process clock is behind). Skewed
+ * processes are shifted onto the collector's clock before sorting.
+ */
+export function orderEntries(entries) {
+  const clocks = new Map();
+  const outOfOrder = [];
+  const skewed = [];
+
+  for (const [processId, group] of groupByProcess(entries)) {
+    const timed = group.filter((entry) => isNumber(entry.hrtime) && isNumber(entry.timestamp));
+    const anchor = timed.length
+      ? median(timed.map((entry) => entry.timestamp - entry.hrtime))
+      : null;
+
+    const delays = group
+      .filter((entry) => isNumber(entry.receivedAt) && isNumber(entry.timestamp))
+      .map((entry) => entry.receivedAt - entry.timestamp);
+    const skew = delays.length ? Math.min(...delays) : 0;
+    const isSkewed = Math.abs(skew) > SKEW_TOLERANCE_MS;
+    if (isSkewed) {
+      skewed.push({ processId, skewMs: Math.round(skew), entries: group.length });
+    }
+
+    clocks.set(processId, { anchor, correction: isSkewed ? skew : 0 });
+    outOfOrder.push(...findOutOfOrder(group));
+  }
+
+  const timeOf = (entry) => {
+    const clock = clocks.get(entry.processId);
+    if (!clock) {
+      return entry.timestamp ?? 0;
+    }
+    const time =
+      clock.anchor !== null && isNumber(entry.hrtime)
+        ? clock.anchor + entry.hrtime
+        : (entry.timestamp ?? 0);
+    return time + clock.correction;
+  };
+
+  const sorted = entries
+    .map((entry, index) => ({ entry, index, time: timeOf(entry) }))
+    .sort((left, right) => {
+      if (left.time !== right.time) return left.time - right.time;
+      const { entry: a } = left;
+      const { entry: b } = right;
+      if (a.processId === b.processId && isNumber(a.seq) && isNumber(b.seq)) {
+        return a.seq - b.seq;
+      }
+      return left.index - right.index;
+    })
+    .map(({ entry }) => entry);
+
+  return { entries: sorted, outOfOrder, skewed };
+}
@@ -0,0 +1,116 @@
+/**
+ * Fix Verification
+ *
+ * Compares the entries logged after a fix with a baseline snapshot of the
+ * bug: which errors and failed assertions disappeared, remained or are new,
+ * how the execution path changed, and which data values changed at each
+ * location (the diff from compare-logs.mjs). Ends in a verdict:
+ *
+ * - PASS: the baseline showed the bug as errors or failed assertions, none of
+ *   them were logged again and nothing new failed.
+ * - FAIL: anything else, including a baseline with nothing failing (there is
+ *   no evidence to check the fix against) or no entries since the fix.
+ */
+
+import { compareEntries, summarizeEntries } from "./compare-logs.mjs";
+
+function failures(entries) {
+  const summary = summarizeEntries(entries);
+  const failed = {};
+  for (const entry of entries) {
+    if (entry.assertion && !entry.assertion.passed) {
+      const key = `${entry.location}\u0000${entry.message}`;
+      failed[key] = (failed[key] || 0) + 1;
+    }
+  }
+  return { errors: summary.errors, failed };
+}
+
+// Sort baseline and current counts into gone, remaining and new.
+function classify(before, after) {
+  const result = { gone: [], new: [], remaining: [] };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const [location, message] = key.split("\u0000");
+    const item = { location, message, before: before[key] ?? 0, after: after[key] ?? 0 };
+    if (!(key in after)) {
+      result.gone.push(item);
+    } else if (!(key in before)) {
+      result.new.push(item);
+    } else {
+      result.remaining.push(item);
+    }
+  }
+  return result;
+}
+
+// Locations in the order they were first hit.
+function firstHits(entries) {
+  return [...new Set(entries.map((entry) => entry.location))];
+}
+
+function comparePaths(before, after, locations) {
+  const left = firstHits(before);
+  const right = firstHits(after);
+  let divergesAt = null;
+  for (let index = 0; index < Math.max(left.length, right.length); index += 1) {
+    if (left[index] !== right[index]) {
+      divergesAt = { index, before: left[index] ?? null, after: right[index] ?? null };
+      break;
+    }
+  }
+  return { ...locations, before: left, after: right, divergesAt };
+}
+
+function decide({ errors, assertions, totals }) {
+  const reasons = [];
+  const count = (items) => items.length;
+
+  if (totals.after === 0) {
+    reasons.push("nothing was logged after the baseline; reproduce the bug with the fix in place");
+  } else if (
+    count(errors.gone) + count(errors.remaining) === 0 &&
+    count(assertions.gone) + count(assertions.remaining) === 0
+  ) {
+    reasons.push("the baseline has no errors or failed assertions to verify the fix against");
+  }
+  if (count(errors.remaining) > 0) {
+    reasons.push(`${count(errors.remaining)} baseline error(s) still logged`);
+  }
+  if (count(assertions.remaining) > 0) {
+    reasons.push(`${count(assertions.remaining)} baseline assertion(s) still failing`);
+  }
+  if (count(errors.new) > 0) {
+    reasons.push(`${count(errors.new)} new error(s)`);
+  }
+  if (count(assertions.new) > 0) {
+    reasons.push(`${count(assertions.new)} new failed assertion(s)`);
+  }
+
+  if (reasons.length > 0) {
+    return { status: "FAIL", reasons };
+  }
+  return {
+    status: "PASS",
+    reasons: [
+      `${count(errors.gone)} baseline error(s) and ${count(assertions.gone)} failed assertion(s) ` +
+        "no longer logged, and nothing new failed",
+    ],
+  };
+}
+
+/** The verification report for `current` entries against `baseline` entries. */
+export function verifyFix(baseline, current) {
+  const comparison = compareEntries(baseline, current);
+  const before = failures(baseline);
+  const after = failures(current);
+
+  const report = {
+    totals: comparison.totals,
+    errors: classify(before.errors, after.errors),
+    assertions: classify(before.failed, after.failed),
+    paths: comparePaths(baseline, current, comparison.locations),
+    values: comparison.values,
+  };
+  report.verdict = decide(report);
+  return report;
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Manage Hypotheses
+ *
+ * Same as `debug-mode.mjs hypotheses`; kept so existing invocations keep working.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["hypotheses", ...process.argv.slice(2)]);
@@ -0,0 +1,117 @@
+/**
+ * Hypothesis Store
+ *
+ * Persists hypotheses to .debug/hypotheses.json: each ID's description,
+ * current verdict, supporting evidence and the history of verdicts across
+ * iterations, so none of it is lost when the conversation resets.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+export const STATUSES = ["OPEN", "CONFIRMED", "REJECTED", "INCONCLUSIVE"];
+// Loggers report captured uncaught errors and console output under these
+// IDs; they can't be registered, and the collector accepts them even when
+// other IDs must be.
+export const UNCAUGHT_HYPOTHESIS = "UNCAUGHT";
+export const CONSOLE_HYPOTHESIS = "CONSOLE";
+export const RESERVED_HYPOTHESES = [UNCAUGHT_HYPOTHESIS, CONSOLE_HYPOTHESIS];
+
+export function loadHypotheses(file) {
+  if (!existsSync(file)) {
+    return { hypotheses: [] };
+  }
+  try {
+    const state = JSON.parse(readFileSync(file, "utf8"));
+    return { hypotheses: Array.isArray(state.hypotheses) ? state.hypotheses : [] };
+  } catch {
+    return { hypotheses: [] };
+  }
+}
+
+export function saveHypotheses(file, state) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(state, null, 2) + "\n");
+}
+
+export function findHypothesis(state, id) {
+  return state.hypotheses.find((hypothesis) => hypothesis.id === id) ?? null;
+}
+
+export function validateHypothesis(input) {
+  if (!input || typeof input !== "object") {
+    return "Hypothesis must be a JSON object";
+  }
+  if (!input.id || typeof input.id !== "string") {
+    return "Missing required field: id";
+  }
+  if (RESERVED_HYPOTHESES.includes(input.id)) {
+    return `Hypothesis ID ${input.id} is reserved for captured errors and console output`;
+  }
+  if (!input.description || typeof input.description !== "string") {
+    return "Missing required field: description";
+  }
+  return null;
+}
+
+export function validateUpdate(update) {
+  if (!update || typeof update !== "object") {
+    return "Update must be a JSON object";
+  }
+  if (update.status !== undefined && !STATUSES.includes(update.status)) {
+    return `Status must be one of: ${STATUSES.join(", ")}`;
+  }
+  if (update.description !== undefined && typeof update.description !== "string") {
+    return "Description must be a string";
+  }
+  return null;
+}
+
+export function addHypothesis(state, { id, description }, runId = null) {
+  if (findHypothesis(state, id)) {
+    throw new Error(`Hypothesis ${id} already exists`);
+  }
+  const now = Date.now();
+  const hypothesis = {
+    id,
+    description,
+    status: "OPEN",
+    evidence: [],
+    history: [{ status: "OPEN", note: null, runId, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  state.hypotheses.push(hypothesis);
+  return hypothesis;
+}
+
+/**
+ * Apply an update. A status change (or a note) is appended to the history
+ * together with the run it was made in; evidence is appended, never replaced.
+ */
+export function updateHypothesis(state, id, update, runId = null) {
+  const hypothesis = findHypothesis(state, id);
+  if (!hypothesis) {
+    throw new Error(`Unknown hypothesis: ${id}`);
+  }
+
+  const now = Date.now();
+  if (update.description !== undefined) {
+    hypothesis.description = update.description;
+  }
+  if (update.status !== undefined || update.note) {
+    hypothesis.status = update.status ?? hypothesis.status;
+    hypothesis.history.push({
+      status: hypothesis.status,
+      note: update.note ?? null,
+      runId,
+      at: now,
+    });
+  }
+  if (update.evidence) {
+    const items = Array.isArray(update.evidence) ? update.evidence : [update.evidence];
+    hypothesis.evidence.push(...items.map((item) => ({ ...item, addedAt: now, runId })));
+  }
+  hypothesis.updatedAt = now;
+  return hypothesis;
+}
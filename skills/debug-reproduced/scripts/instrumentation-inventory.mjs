@@ -0,0 +1,101 @@
+/**
+ * Instrumentation Inventory
+ *
+ * Lists every logger call site in the source tree and cross-references the
+ * sites against collected log entries. A site that never fired during a
+ * reproduction is often the strongest evidence there is.
+ */
+
+import { readFileSync } from "node:fs";
+import { relative } from "node:path";
+import { codeTokens, collectSourceFiles, findLoggerCalls, literalValue } from "./js-scanner.mjs";
+
+const SPAN_CALLEE = /\.(?:span|wrap)$/;
+
+function argumentValue(tokens, arg) {
+  if (!arg || arg.tokens[0] !== arg.tokens[1]) return null;
+  return literalValue(tokens[arg.tokens[0]]) ?? null;
+}
+
+/**
+ * Call sites in one source string: line, callee, location, hypothesisId,
+ * message. A location computed at runtime (a template or expression) is null,
+ * with its source text in `locationSource`.
+ */
+export function scanSource(source) {
+  const tokens = codeTokens(source);
+
+  const sites = findLoggerCalls(source, tokens)
+    .filter((call) => !call.callee.includes(".") || SPAN_CALLEE.test(call.callee))
+    .map((call) => {
+      // `__d(hypothesisId, message, data)` takes its location from the stack.
+      const shorthand = call.name === "__d";
+      const [location, hypothesisId, message] = shorthand ? [undefined, ...call.args] : call.args;
+      // Spans log "<name> started" when they begin; an assertion's message
+      // depends on whether it passed.
+      const text = call.name === "__debugAssert" ? null : argumentValue(tokens, message);
+      const isSpan = SPAN_CALLEE.test(call.callee);
+
+      const literal = shorthand ? null : argumentValue(tokens, location);
+      return {
+        callee: call.callee,
+        hypothesisId: argumentValue(tokens, hypothesisId),
+        line: call.line,
+        location: literal,
+        locationSource: literal === null && location ? location.text : null,
+        message: isSpan && text !== null ? `${text} started` : text,
+      };
+    });
+
+  // Calls forwarding both from variables are inside helpers (spans), not sites.
+  return sites.filter(
+    (site) => site.callee === "__d" || site.location !== null || site.hypothesisId !== null,
+  );
+}
+
+/** The site's location, or how it is determined when it isn't a literal. */
+export function describeLocation(site) {
+  if (site.location !== null) return site.location;
+  if (site.locationSource) return `(dynamic location: ${site.locationSource})`;
+  return "(location from stack)";
+}
+
+export function scanInstrumentation(paths = [process.cwd()]) {
+  const sites = [];
+  for (const file of paths.flatMap((path) => collectSourceFiles(path))) {
+    const source = readFileSync(file, "utf8");
+    if (!/__debug(?:Log|Assert)|__d\b/.test(source)) continue;
+
+    for (const site of scanSource(source)) {
+      sites.push({ file: relative(process.cwd(), file) || file, ...site });
+    }
+  }
+  return sites;
+}
+
+/**
+ * Mark each site as "hit", "never-hit" or "location-mismatch" (entries with
+ * the site's hypothesis and message arrived, but under a different location
+ * string - usually a copy-pasted call whose location wasn't updated).
+ */
+export function crossReference(sites, entries) {
+  return sites.map((site) => {
+    const candidates = entries.filter(
+      (entry) =>
+        (site.hypothesisId === null || entry.hypothesisId === site.hypothesisId) &&
+        (site.message === null || entry.message === site.message),
+    );
+    const hits = candidates.filter(
+      (entry) => site.location === null || entry.location === site.location,
+    );
+
+    if (hits.length > 0) {
+      return { ...site, hits: hits.length, status: "hit" };
+    }
+    if (candidates.length > 0 && site.message !== null) {
+      const loggedLocations = [...new Set(candidates.map((entry) => entry.location))];
+      return { ...site, hits: candidates.length, loggedLocations, status: "location-mismatch" };
+    }
+    return { ...site, hits: 0, status: "never-hit" };
+  });
+}
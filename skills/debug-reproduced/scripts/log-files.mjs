@@ -0,0 +1,70 @@
+/**
+ * Log Files
+ *
+ * Once debug.log reaches its size limit the collector rotates it into
+ * numbered segments: debug.log.1 is the most recent, higher numbers are older.
+ * These helpers treat the segments and the live file as one log, oldest first.
+ */
+
+import { existsSync, readFileSync, renameSync, unlinkSync, writeFileSync } from "node:fs";
+
+/** Existing segment paths, oldest first, ending with the live log file. */
+export function logSegments(logFile) {
+  const segments = [];
+  for (let index = 1; existsSync(`${logFile}.${index}`); index += 1) {
+    segments.unshift(`${logFile}.${index}`);
+  }
+  if (existsSync(logFile)) {
+    segments.push(logFile);
+  }
+  return segments;
+}
+
+/** Parsed entries from every segment in write order. Malformed lines are skipped. */
+export function readLogEntries(logFile) {
+  const entries = [];
+  for (const segment of logSegments(logFile)) {
+    for (const line of readFileSync(segment, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip malformed lines.
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Move the live file to segment 1, shifting older segments up and deleting
+ * any beyond `maxSegments`. With no segments allowed the file is truncated.
+ */
+export function rotateLog(logFile, maxSegments) {
+  let last = 0;
+  while (existsSync(`${logFile}.${last + 1}`)) last += 1;
+
+  for (let index = last; index >= 1; index -= 1) {
+    if (index >= maxSegments) {
+      unlinkSync(`${logFile}.${index}`);
+    } else {
+      renameSync(`${logFile}.${index}`, `${logFile}.${index + 1}`);
+    }
+  }
+
+  if (maxSegments > 0) {
+    renameSync(logFile, `${logFile}.1`);
+  } else {
+    writeFileSync(logFile, "");
+  }
+}
+
+/** Empty the live file and delete every rotated segment. */
+export function clearLog(logFile) {
+  for (const segment of logSegments(logFile)) {
+    if (segment !== logFile) {
+      unlinkSync(segment);
+    }
+  }
+  writeFileSync(logFile, "");
+}
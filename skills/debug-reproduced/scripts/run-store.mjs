@@ -0,0 +1,41 @@
+/**
+ * Run Store
+ *
+ * Persists reproduction runs to .debug/runs.json. The collector stamps every
+ * entry it receives with the current run so iterations can be compared.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+export function loadRuns(file) {
+  if (!existsSync(file)) {
+    return { current: null, runs: [] };
+  }
+  try {
+    const state = JSON.parse(readFileSync(file, "utf8"));
+    return { current: state.current ?? null, runs: Array.isArray(state.runs) ? state.runs : [] };
+  } catch {
+    return { current: null, runs: [] };
+  }
+}
+
+export function saveRuns(file, state) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(state, null, 2) + "\n");
+}
+
+export function startRun(state, name = null) {
+  const run = {
+    id: `run-${state.runs.length + 1}`,
+    name: name || null,
+    startedAt: Date.now(),
+  };
+  state.runs.push(run);
+  state.current = run.id;
+  return run;
+}
+
+export function resolveRun(state, ref) {
+  return state.runs.find((run) => run.id === ref || run.name === ref) ?? null;
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Instrumentation
+ *
+ * Same as `debug-mode.mjs scan`; kept so existing invocations keep working.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["scan", ...process.argv.slice(2)]);
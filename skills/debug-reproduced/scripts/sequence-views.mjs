@@ -0,0 +1,152 @@
+/**
+ * Sequence Views
+ *
+ * Renders ordered entries as a Mermaid sequence diagram or a plain-text
+ * swimlane timeline, with one lane per location, session, process or trace.
+ * Consecutive identical events in the same lane are collapsed into one with a
+ * repeat count, so loops don't drown out the interleaving.
+ */
+
+export const LANE_KEYS = {
+  location: (entry) => entry.location ?? "unknown",
+  process: (entry) => entry.processId ?? "unknown",
+  session: (entry) => entry.sessionId ?? "default",
+  trace: (entry) => entry.traceId ?? "untraced",
+};
+
+const MAX_MESSAGE_LENGTH = 80;
+const MAX_DATA_LENGTH = 60;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function describe(event) {
+  const repeat = event.count > 1 ? ` (x${event.count})` : "";
+  return `[${event.hypothesisId}] ${truncate(event.message, MAX_MESSAGE_LENGTH)}${repeat}`;
+}
+
+/**
+ * Collapse consecutive entries with the same lane, hypothesis, level and
+ * message. Returns the lanes in order of first appearance and the events.
+ */
+export function buildSequence(entries, laneBy = "location") {
+  const laneOf = LANE_KEYS[laneBy];
+  const lanes = [];
+  const events = [];
+
+  for (const entry of entries) {
+    const lane = String(laneOf(entry));
+    if (!lanes.includes(lane)) {
+      lanes.push(lane);
+    }
+    const event = {
+      count: 1,
+      data: entry.data ?? null,
+      hypothesisId: entry.hypothesisId ?? "?",
+      lane,
+      level: entry.level || "info",
+      message: String(entry.message ?? "").replace(/\s+/g, " "),
+      timestamp: entry.timestamp,
+    };
+    const previous = events.at(-1);
+    if (
+      previous &&
+      previous.lane === event.lane &&
+      previous.hypothesisId === event.hypothesisId &&
+      previous.level === event.level &&
+      previous.message === event.message
+    ) {
+      previous.count += 1;
+    } else {
+      events.push(event);
+    }
+  }
+
+  return { events, lanes };
+}
+
+// Mermaid treats `;` as a statement separator and `#` as the start of an
+// entity code, so both are written as entity codes.
+function escapeMermaid(text) {
+  return text.replace(/[#;]/g, (char) => `#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Mermaid `sequenceDiagram`. A move to another lane is drawn as an arrow from
+ * the previous lane, an event in the same lane as a note over it; errors use
+ * a crossed arrow or an "error:" prefix.
+ */
+export function renderMermaid(entries, laneBy) {
+  const { events, lanes } = buildSequence(entries, laneBy);
+  const ids = new Map(lanes.map((lane, index) => [lane, `L${index + 1}`]));
+  const lines = ["sequenceDiagram"];
+
+  for (const lane of lanes) {
+    lines.push(`  participant ${ids.get(lane)} as ${escapeMermaid(lane)}`);
+  }
+
+  let previousLane = null;
+  for (const event of events) {
+    const target = ids.get(event.lane);
+    const isError = event.level === "error";
+    const text = escapeMermaid(describe(event));
+    if (previousLane === null || previousLane === event.lane) {
+      lines.push(`  Note over ${target}: ${isError ? "error: " : ""}${text}`);
+    } else {
+      lines.push(`  ${ids.get(previousLane)}${isError ? "-x" : "->>"}${target}: ${text}`);
+    }
+    previousLane = event.lane;
+  }
+
+  return lines.join("\n");
+}
+
+function formatOffset(ms) {
+  return ms < 1000 ? `+${ms}ms` : `+${(ms / 1000).toFixed(3)}s`;
+}
+
+function formatData(data) {
+  if (data === null) return "";
+  const text = typeof data === "string" ? data : JSON.stringify(data);
+  return text === undefined ? "" : ` ${truncate(text, MAX_DATA_LENGTH)}`;
+}
+
+/**
+ * Text swimlanes: a numbered legend of lanes, then one row per event with a
+ * column per lane. `*` marks the lane an event happened in, `x` an error and
+ * `!` a warning; `|` is an idle lane.
+ */
+export function renderTimeline(entries, laneBy) {
+  const { events, lanes } = buildSequence(entries, laneBy);
+  if (events.length === 0) {
+    return "No log entries found.";
+  }
+
+  const width = String(lanes.length).length;
+  const lines = ["Lanes:"];
+  lanes.forEach((lane, index) => {
+    lines.push(`  ${String(index + 1).padStart(width)}  ${lane}`);
+  });
+  lines.push("");
+
+  const start = events.find((event) => typeof event.timestamp === "number")?.timestamp ?? 0;
+  const offsets = events.map((event) =>
+    typeof event.timestamp === "number" ? formatOffset(Math.max(0, event.timestamp - start)) : "",
+  );
+  const offsetWidth = Math.max(...offsets.map((offset) => offset.length));
+  const header = lanes.map((_, index) => String(index + 1).padStart(width)).join(" ");
+  lines.push(`${"".padStart(offsetWidth)}  ${header}`);
+
+  events.forEach((event, row) => {
+    const mark = event.level === "error" ? "x" : event.level === "warn" ? "!" : "*";
+    const columns = lanes
+      .map((lane) => (lane === event.lane ? mark : "|").padStart(width))
+      .join(" ");
+    lines.push(
+      `${offsets[row].padStart(offsetWidth)}  ${columns}  ${describe(event)}${formatData(event.data)}`,
+    );
+  });
+
+  return lines.join("\n");
+}
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Debug Logs
+ *
+ * Same as `debug-mode.mjs snapshot`.
+ */
+
+import { main } from "./cli.mjs";
+
+await main(["snapshot", ...process.argv.slice(2)]);
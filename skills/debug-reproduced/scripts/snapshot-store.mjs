@@ -0,0 +1,61 @@
+/**
+ * Snapshot Store
+ *
+ * Freezes log entries as named baselines in .debug/snapshots/<name>.json, so
+ * the evidence of a bug survives `clear` and can be compared against the
+ * entries logged after a fix.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+export function validateSnapshotName(name) {
+  if (!name) {
+    return "Missing snapshot name";
+  }
+  if (!NAME_PATTERN.test(name) || name.startsWith(".")) {
+    return `Invalid snapshot name "${name}": use letters, digits, ".", "-" and "_"`;
+  }
+  return null;
+}
+
+export function snapshotFile(dir, name) {
+  return join(dir, `${name}.json`);
+}
+
+/** Write a snapshot; `run` is the run ID the entries were taken from, if any. */
+export function saveSnapshot(dir, name, entries, run = null) {
+  const snapshot = { name, createdAt: Date.now(), run, entries };
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(snapshotFile(dir, name), JSON.stringify(snapshot) + "\n");
+  return snapshot;
+}
+
+/** The snapshot, or null if there is none by that name or it can't be read. */
+export function loadSnapshot(dir, name) {
+  const file = snapshotFile(dir, name);
+  if (!existsSync(file)) {
+    return null;
+  }
+  try {
+    const snapshot = JSON.parse(readFileSync(file, "utf8"));
+    return Array.isArray(snapshot.entries) ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Every readable snapshot without its entries, oldest first. */
+export function listSnapshots(dir) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => loadSnapshot(dir, file.slice(0, -".json".length)))
+    .filter(Boolean)
+    .map(({ entries, ...snapshot }) => ({ ...snapshot, entries: entries.length }))
+    .sort((left, right) => left.createdAt - right.createdAt);
+}
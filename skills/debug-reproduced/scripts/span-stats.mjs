@@ -0,0 +1,115 @@
+/**
+ * Span Statistics
+ *
+ * Spans are pairs of entries sharing a `span.id`: a "start" entry and an
+ * "end" entry carrying `durationMs` and `outcome`. This module turns them
+ * into per-span latency statistics, spans that never finished, and spans
+ * that ran at the same time.
+ */
+
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function describeSpan(entry) {
+  return {
+    hypothesisId: entry.hypothesisId,
+    id: entry.span.id,
+    location: entry.location,
+    name: entry.span.name,
+    timestamp: entry.timestamp,
+  };
+}
+
+function summarize(durations) {
+  const sorted = [...durations].sort((left, right) => left - right);
+  return {
+    maxMs: sorted.at(-1),
+    minMs: sorted[0],
+    p50Ms: percentile(sorted, 50),
+    p95Ms: percentile(sorted, 95),
+  };
+}
+
+// Finished spans as [start, end] intervals on the wall clock. The end entry's
+// timestamp is when it finished; its duration gives the start.
+function findOverlaps(finished) {
+  const intervals = finished
+    .filter((entry) => typeof entry.timestamp === "number")
+    .map((entry) => ({
+      end: entry.timestamp,
+      name: entry.span.name,
+      start: entry.timestamp - entry.span.durationMs,
+    }))
+    .sort((left, right) => left.start - right.start);
+
+  const pairs = new Map();
+  const active = [];
+  for (const interval of intervals) {
+    for (let index = active.length - 1; index >= 0; index -= 1) {
+      if (active[index].end <= interval.start) active.splice(index, 1);
+    }
+    for (const other of active) {
+      const names = [other.name, interval.name].sort();
+      const key = names.join("\u0000");
+      const pair = pairs.get(key) ?? { count: 0, spans: names };
+      pair.count += 1;
+      pairs.set(key, pair);
+    }
+    active.push(interval);
+  }
+
+  return [...pairs.values()].sort((left, right) => right.count - left.count);
+}
+
+/**
+ * Statistics for the span entries among `entries`: `stats` per span name and
+ * location (count, errors, min/p50/p95/max in ms), `unclosed` spans that
+ * started but never finished, and `overlapping` pairs of span names with how
+ * often they ran concurrently.
+ */
+export function analyzeSpans(entries) {
+  const started = new Map();
+  const finished = [];
+
+  for (const entry of entries) {
+    if (!entry.span?.id) continue;
+    if (entry.span.phase === "start") {
+      started.set(entry.span.id, entry);
+    } else if (entry.span.phase === "end" && typeof entry.span.durationMs === "number") {
+      finished.push(entry);
+    }
+  }
+
+  const groups = new Map();
+  for (const entry of finished) {
+    const start = started.get(entry.span.id);
+    started.delete(entry.span.id);
+    const location = start?.location ?? entry.location;
+    const key = `${entry.span.name}\u0000${location}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        durations: [],
+        errors: 0,
+        hypothesisId: entry.hypothesisId,
+        location,
+        name: entry.span.name,
+      });
+    }
+    const group = groups.get(key);
+    group.durations.push(entry.span.durationMs);
+    if (entry.span.outcome === "error") group.errors += 1;
+  }
+
+  const stats = [...groups.values()].map(({ durations, ...group }) => ({
+    ...group,
+    count: durations.length,
+    ...summarize(durations),
+  }));
+
+  return {
+    overlapping: findOverlaps(finished),
+    stats: stats.sort((left, right) => right.p95Ms - left.p95Ms),
+    unclosed: [...started.values()].map(describeSpan),
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Trace Groups
+ *
+ * The browser logger tags entries with the trace ID of the current user
+ * action and sends it to the app's server in an X-Debug-Trace-Id header, where
+ * the server helper puts the same `traceId` on its own entries. Grouping by
+ * trace follows one action across browser and server.
+ */
+
+/**
+ * Entries grouped by `traceId`, oldest trace first, keeping the order the
+ * entries were given in. Entries without a trace are left out.
+ */
+export function groupByTrace(entries) {
+  const traces = new Map();
+
+  for (const entry of entries) {
+    if (!entry.traceId) continue;
+    if (!traces.has(entry.traceId)) {
+      traces.set(entry.traceId, { entries: [], traceId: entry.traceId });
+    }
+    traces.get(entry.traceId).entries.push(entry);
+  }
+
+  return [...traces.values()]
+    .map(({ entries: group, traceId }) => {
+      const timestamps = group
+        .map((entry) => entry.timestamp)
+        .filter((timestamp) => typeof timestamp === "number");
+      const first = timestamps.length ? Math.min(...timestamps) : null;
+      const last = timestamps.length ? Math.max(...timestamps) : null;
+      return {
+        durationMs: first === null ? 0 : last - first,
+        entries: group.map(({ hypothesisId, level, location, message, processId, timestamp }) => ({
+          hypothesisId,
+          level: level || "info",
+          location,
+          message,
+          processId,
+          timestamp,
+        })),
+        errors: group.filter((entry) => entry.level === "error").length,
+        first,
+        hypotheses: [...new Set(group.map((entry) => entry.hypothesisId))].sort(),
+        last,
+        processes: [...new Set(group.map((entry) => entry.processId).filter(Boolean))],
+        traceId,
+      };
+    })
+    .sort((left, right) => (left.first ?? 0) - (right.first ?? 0));
+}
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { removeInstrumentation } from "../skills/debug-fixed/scripts/instrumentation-remover.mjs";
+
+test("removes a logger call together with the semicolon on its line", () => {
+  const { calls, output } = removeInstrumentation(
+    "a();\n__debugLog('x', 'A', 'hit', { a });\nb();\n",
+  );
+  assert.equal(calls, 1);
+  assert.equal(output, "a();\nb();\n");
+});
+
+test("keeps a semicolon on the next line that guards against ASI", () => {
+  const { calls, output } = removeInstrumentation(
+    "const y = a\n__debugLog('y', 'A', 'asi')\n;[1, 2].forEach(f)\n",
+  );
+  assert.equal(calls, 1);
+  assert.equal(output, "const y = a\n;[1, 2].forEach(f)\n");
+});
+
+test("removes logger calls within the first statements of a file", () => {
+  for (const [source, expected] of [
+    ["__debugAssert(ok, 'a', 'A', 'first');\nb();\n", "b();\n"],
+    ["'use strict';\n__debugLog('a', 'A', 'hit');\nb();\n", "'use strict';\nb();\n"],
+    ["x;\n__debugLog('a', 'A', 'hit');\n", "x;\n"],
+  ]) {
+    const { calls, output } = removeInstrumentation(source);
+    assert.equal(calls, 1);
+    assert.equal(output, expected);
+  }
+});
+
+test("reports logger calls inside template substitutions as leftovers", () => {
+  const { leftovers } = removeInstrumentation(
+    "const a = 1;\nconsole.log(`${__debugLog('a', 'A', 'm')} done`);\n",
+  );
+  assert.deepEqual(
+    leftovers.map(({ line, name }) => ({ line, name })),
+    [{ line: 2, name: "__debugLog" }],
+  );
+});
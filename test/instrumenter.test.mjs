@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { removeInstrumentation } from "../skills/debug-fixed/scripts/instrumentation-remover.mjs";
+import { instrumentFunction } from "../skills/debug-mode/scripts/instrumenter.mjs";
+
+const instrument = (source, name = "load") =>
+  instrumentFunction(source, { name, location: `src/orders.ts:${name}`, hypothesisId: "A" });
+
+const SOURCE = `import { fetchOrder } from "./api";
+
+export async function load(id: string, retries: number) {
+  if (retries > 3) {
+    return null;
+  }
+  try {
+    const order = await fetchOrder(id);
+    return order.items;
+  } catch (e) {
+    throw new Error("load failed");
+  }
+}
+
+export function total(items: number[]) {
+  let sum = 0;
+  for (const item of items) {
+    sum += item;
+  }
+  return sum;
+}
+`;
+
+test("narrows the catch binding with instanceof so strict TypeScript accepts it", () => {
+  const { output } = instrument(SOURCE);
+  const [line] = output.split("\n").filter((text) => text.includes('"Caught error"'));
+  assert.match(
+    line,
+    /\{ error: e instanceof Error \? e\.message : String\(e\), stack: e instanceof Error \? e\.stack : undefined \}/,
+  );
+  assert.doesNotMatch(output, /e\?\.message/);
+});
+
+test("skips the trailing exit log when the last statement always returns or throws", () => {
+  const { inserted, output } = instrument(SOURCE);
+  const exits = inserted.filter((item) => item.kind === "exit");
+  // Before `return null` and `return order.items` only.
+  assert.equal(exits.length, 2);
+
+  const lines = output.split("\n");
+  const tryEnd = lines.findIndex((text, index) => text === "  }" && lines[index + 1] === "}");
+  assert.ok(tryEnd > 0);
+  assert.doesNotMatch(lines[tryEnd - 1], /Function exit/);
+});
+
+test("still logs the exit when the body can fall off the end", () => {
+  const { output } = instrument(
+    `function save(order) {
+  if (order.ok) {
+    return true;
+  } else {
+    console.log("not ok");
+  }
+}
+`,
+    "save",
+  );
+  const lines = output.trimEnd().split("\n");
+  assert.match(lines[lines.length - 2], /"Function exit"/);
+});
+
+test("instrument then remove restores the file exactly", () => {
+  for (const name of ["load", "total"]) {
+    const { output } = instrument(SOURCE, name);
+    assert.notEqual(output, SOURCE);
+    const removed = removeInstrumentation(output);
+    assert.equal(removed.output, SOURCE);
+    assert.deepEqual(removed.leftovers, []);
+  }
+});
+
+test("ends an inserted call with a semicolon when the next line would continue it", () => {
+  const source = `export function load(opts) {
+  (opts.cb || noop)()
+  const rows = opts.rows
+  ;[rows].forEach(print)
+}
+`;
+  const { output } = instrument(source);
+  assert.match(
+    output,
+    /\{\n {2}__debugLog\([^\n]*"Function entry"[^\n]*\); \/\/ @debug-instrument\n {2}\(opts/,
+  );
+  // Elsewhere the file's own no-semicolon style is kept.
+  assert.match(output, /"Function exit"\) \/\/ @debug-instrument/);
+  assert.equal(removeInstrumentation(output).output, source);
+});
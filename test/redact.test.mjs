@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { loadRedactionRules, redactEntry } from "../skills/debug-mode/scripts/redact.mjs";
+
+const rules = loadRedactionRules({});
+
+test("masks sensitive keys and secrets inside strings", () => {
+  const entry = {
+    message: "login for ada@example.com",
+    data: { user: { name: "Ada", password: "hunter2" } },
+  };
+  const paths = redactEntry(entry, rules);
+  assert.deepEqual(paths, ["message", "data.user.password"]);
+  assert.equal(entry.data.user.name, "Ada");
+  assert.notEqual(entry.data.user.password, "hunter2");
+  assert.doesNotMatch(entry.message, /ada@example\.com/);
+});
+
+test("keeps and redacts a parsed __proto__ key as an own property", () => {
+  const entry = JSON.parse(
+    '{"message":"m","data":{"__proto__":{"password":"hunter2","note":"ada@example.com"}}}',
+  );
+  const paths = redactEntry(entry, rules);
+  assert.deepEqual(paths, ["data.__proto__.password", "data.__proto__.note"]);
+  assert.equal(Object.getPrototypeOf(entry.data), Object.prototype);
+  assert.ok(Object.hasOwn(entry.data, "__proto__"));
+
+  const written = JSON.parse(JSON.stringify(entry));
+  assert.ok(Object.hasOwn(written.data, "__proto__"));
+  assert.doesNotMatch(JSON.stringify(entry), /hunter2|ada@example\.com/);
+});